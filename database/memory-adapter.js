@@ -0,0 +1,823 @@
+// In-memory storage backend
+// Implements the part of the Supabase client the server uses (see database/repository.js) on top of plain
+// JavaScript tables, with the columns, defaults, constraints and triggers of database/migrations.
+// Keep TABLES in step with the migrations when adding one.
+// Data lives in the server process; set MEMORY_DB_FILE to keep it in a JSON file between restarts.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const now = () => new Date().toISOString();
+
+// Table definitions
+// - columns: every column with its default (a function is called per row)
+// - serial: id is assigned from a sequence on insert; primaryKey defaults to id
+// - unique: constraints as { name, columns, where } (where limits the constraint to matching rows)
+// - references: foreign keys as column -> { table, onDelete: 'cascade' | 'set null' }
+// - beforeInsert / beforeUpdate: triggers, called with (row, old, store)
+const TABLES = {
+    enhancements: {
+        serial: true,
+        columns: {
+            id: null, request_id: null, request_name: null, request_description: null, rationale: null,
+            requestor_name: null, date_of_request: null, stakeholder: null, type_of_request: null,
+            area_of_product: null, link_to_document: null, desire_level: null, effort_level: null,
+            difficulty_level: null, who_benefits: null, status: 'submitted', priority_level: 'Medium',
+            accepted_denied_reason: null, timeline: null, documentation_updated: false, storylanes_updated: false,
+            release_notes: false, internal_only: false, created_at: now, updated_at: now, created_by: null, deleted_at: null,
+            deleted_by: null, version: 1, merged_into: null, release_id: null, completed_at: null
+        },
+        unique: [{ name: 'enhancements_request_id_key', columns: ['request_id'] }],
+        references: {
+            merged_into: { table: 'enhancements', onDelete: 'set null' },
+            release_id: { table: 'releases', onDelete: 'set null' }
+        },
+        // assign_request_id()
+        beforeInsert: (row, old, store) => {
+            if (row.request_id === null || /^(TEMP|SLACK)-/.test(row.request_id)) {
+                row.request_id = nextRequestId(store, row.area_of_product, row.type_of_request);
+            }
+        },
+        // update_updated_at_column(), bump_enhancement_version() and set_enhancement_completed_at()
+        beforeUpdate: (row, old) => {
+            row.updated_at = now();
+            row.version = old.version + 1;
+            if (row.status === 'complete' && old.status !== 'complete') {
+                row.completed_at = now();
+            } else if (row.status !== 'complete') {
+                row.completed_at = null;
+            }
+        }
+    },
+    enhancement_history: {
+        serial: true,
+        columns: {
+            id: null, enhancement_id: null, action: null, field_name: null, old_value: null, new_value: null,
+            actor_id: null, actor_name: null, changed_at: now
+        },
+        references: { enhancement_id: { table: 'enhancements', onDelete: 'cascade' } },
+        beforeUpdate: () => {
+            throw dbError('P0001', 'enhancement_history is append-only');
+        }
+    },
+    user_roles: {
+        primaryKey: 'user_id',
+        columns: { user_id: null, email: null, role: 'submitter', created_at: now, updated_at: now }
+    },
+    enhancement_links: {
+        serial: true,
+        columns: { id: null, source_id: null, target_id: null, link_type: null, created_by: null, created_at: now },
+        unique: [
+            { name: 'enhancement_links_unique', columns: ['source_id', 'target_id', 'link_type'] },
+            { name: 'idx_enhancement_links_single_parent', columns: ['target_id'], where: row => row.link_type === 'parent_of' }
+        ],
+        references: {
+            source_id: { table: 'enhancements', onDelete: 'cascade' },
+            target_id: { table: 'enhancements', onDelete: 'cascade' }
+        },
+        beforeInsert: (row) => {
+            if (row.source_id === row.target_id) {
+                throw dbError('23514', 'new row for relation "enhancement_links" violates check constraint "enhancement_links_not_self"');
+            }
+        }
+    },
+    enhancement_comments: {
+        serial: true,
+        columns: {
+            id: null, enhancement_id: null, parent_id: null, author_id: null, author_name: null, body: null,
+            created_at: now, updated_at: now, deleted_at: null
+        },
+        references: {
+            enhancement_id: { table: 'enhancements', onDelete: 'cascade' },
+            parent_id: { table: 'enhancement_comments', onDelete: 'cascade' }
+        }
+    },
+    notifications: {
+        serial: true,
+        columns: {
+            id: null, user_id: null, type: null, enhancement_id: null, comment_id: null, actor_id: null,
+            actor_name: null, created_at: now, read_at: null
+        },
+        unique: [{ name: 'notifications_unique_mention', columns: ['user_id', 'comment_id', 'type'] }],
+        references: {
+            enhancement_id: { table: 'enhancements', onDelete: 'cascade' },
+            comment_id: { table: 'enhancement_comments', onDelete: 'cascade' }
+        }
+    },
+    enhancement_votes: {
+        serial: true,
+        columns: { id: null, enhancement_id: null, user_id: null, user_name: null, note: null, customer: null, created_at: now },
+        unique: [{ name: 'enhancement_votes_one_per_user', columns: ['enhancement_id', 'user_id'] }],
+        references: { enhancement_id: { table: 'enhancements', onDelete: 'cascade' } }
+    },
+    scoring_settings: {
+        columns: { id: 'default', config: null, updated_by: null, updated_at: now }
+    },
+    releases: {
+        serial: true,
+        columns: {
+            id: null, name: null, target_date: null, status: 'planned', capacity: null, created_by: null,
+            created_by_name: null, created_at: now, updated_at: now
+        },
+        unique: [{ name: 'releases_name_key', columns: ['name'] }]
+    },
+    taxonomy_values: {
+        serial: true,
+        columns: {
+            id: null, category: null, value: null, sort_order: 0, active: true, is_default: false,
+            request_id_prefix: null, created_at: now, updated_at: now
+        },
+        unique: [{ name: 'taxonomy_values_unique', columns: ['category', 'value'] }]
+    },
+    request_id_counters: {
+        primaryKey: 'prefix',
+        columns: { prefix: null, last_number: 0 }
+    },
+    import_jobs: {
+        columns: {
+            id: null, source: null, file_name: null, status: 'queued', options: () => ({}), total: 0, processed: 0,
+            succeeded: 0, failed: 0, report: null, error_report: null, error: null, records: null, state: null,
+            claimed_until: () => new Date(0).toISOString(), created_by: null, created_at: now, started_at: null,
+            finished_at: null, updated_at: now
+        }
+    }
+};
+
+// Stored procedures callable through rpc()
+const FUNCTIONS = {
+    next_request_id: (store, { p_area, p_type }) => nextRequestId(store, p_area, p_type)
+};
+
+/**
+ * Build an error shaped like a PostgREST error
+ * @param {string} code - Postgres or PostgREST error code
+ * @param {string} message - Error message
+ * @param {string} details - Optional details
+ * @returns {Object} { code, message, details, hint }
+ */
+function dbError(code, message, details = null) {
+    return { code, message, details, hint: null };
+}
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * next_request_id(): the next ID for a request in an area and type, using the area prefix, then the type prefix, then REQ
+ * @param {Object} store - Adapter state
+ * @param {string} area - Area of Product
+ * @param {string} type - Type of Request
+ * @returns {string} Request ID, e.g. SH-000001
+ */
+function nextRequestId(store, area, type) {
+    const taxonomy = store.tables.taxonomy_values;
+    const prefixOf = (category, value) => taxonomy.find(row => row.category === category && row.value === value && row.request_id_prefix)?.request_id_prefix;
+    const prefix = prefixOf('areaOfProduct', area) || prefixOf('typeOfRequest', type) || 'REQ';
+
+    const counters = store.tables.request_id_counters;
+    let counter = counters.find(row => row.prefix === prefix);
+    if (!counter) {
+        // REQ continues after the IDs handed out before the counters existed (REQ- plus the row id)
+        const start = prefix === 'REQ'
+            ? store.tables.enhancements.reduce((max, row) => {
+                const match = /^REQ-(\d+)$/.exec(row.request_id || '');
+                return Math.max(max, row.id, match ? Number(match[1]) : 0);
+            }, 0)
+            : 0;
+        counter = { prefix, last_number: start };
+        counters.push(counter);
+    }
+
+    let requestId;
+    do {
+        counter.last_number += 1;
+        const number = String(counter.last_number);
+        requestId = `${prefix}-${number.padStart(6, '0')}`;
+    } while (store.tables.enhancements.some(row => row.request_id === requestId));
+    return requestId;
+}
+
+// Filters
+
+/**
+ * Convert a filter value to the type of the stored value, as PostgREST does for query string values
+ * @param {*} stored - Value in the row
+ * @param {*} value - Filter value
+ * @returns {*} Comparable value
+ */
+function coerce(stored, value) {
+    if (typeof stored === 'number' && value !== null && value !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (typeof stored === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+function compare(a, b) {
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+}
+
+function likeToRegExp(pattern, flags) {
+    const source = String(pattern)
+        .split('')
+        .map(char => {
+            if (char === '%' || char === '*') return '.*';
+            if (char === '_') return '.';
+            return char.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`, flags);
+}
+
+/**
+ * Test one column condition
+ * @param {Object} row - Row
+ * @param {string} column - Column name
+ * @param {string} operator - eq, neq, gt, gte, lt, lte, like, ilike, in, is
+ * @param {*} value - Operand (an array for in)
+ * @returns {boolean}
+ */
+function matchCondition(row, column, operator, value) {
+    const stored = row[column] === undefined ? null : row[column];
+    switch (operator) {
+        case 'is':
+            if (value === null || value === 'null') return stored === null;
+            return stored === (value === true || value === 'true');
+        case 'in':
+            return stored !== null && value.some(item => coerce(stored, item) === stored);
+        case 'like':
+        case 'ilike':
+            return stored !== null && likeToRegExp(value, operator === 'ilike' ? 'is' : 's').test(String(stored));
+    }
+    if (stored === null || value === null) {
+        return false;
+    }
+    const operand = coerce(stored, value);
+    switch (operator) {
+        case 'eq': return stored === operand;
+        case 'neq': return stored !== operand;
+        case 'gt': return compare(stored, operand) > 0;
+        case 'gte': return compare(stored, operand) >= 0;
+        case 'lt': return compare(stored, operand) < 0;
+        case 'lte': return compare(stored, operand) <= 0;
+        default:
+            throw dbError('PGRST100', `Unsupported filter operator "${operator}"`);
+    }
+}
+
+// Split on commas that are not inside parentheses
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current !== '') {
+        parts.push(current);
+    }
+    return parts;
+}
+
+// Parse "(a,b)" into ['a', 'b']
+function parseList(value) {
+    return String(value).replace(/^\(|\)$/g, '').split(',').map(item => item.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+/**
+ * Parse a PostgREST logic expression as passed to .or(), e.g. "status.eq.review,and(a.eq.1,b.is.null)"
+ * @param {string} expression - Comma-separated conditions
+ * @returns {Function[]} One predicate per condition
+ */
+function parseLogic(expression) {
+    return splitTopLevel(expression).map(term => {
+        const group = /^(and|or)\((.*)\)$/.exec(term);
+        if (group) {
+            const predicates = parseLogic(group[2]);
+            return group[1] === 'and'
+                ? row => predicates.every(predicate => predicate(row))
+                : row => predicates.some(predicate => predicate(row));
+        }
+        const [column, ...rest] = term.split('.');
+        let negate = false;
+        if (rest[0] === 'not') {
+            negate = true;
+            rest.shift();
+        }
+        const operator = rest.shift();
+        const raw = rest.join('.');
+        const value = operator === 'in' ? parseList(raw) : raw;
+        return row => matchCondition(row, column, operator, value) !== negate;
+    });
+}
+
+// Select lists
+
+/**
+ * Parse a select list such as "*, enhancements(request_id, request_name)"
+ * @param {string} columns - Select list
+ * @returns {Object[]} Items of { column } or { embed, columns }
+ */
+function parseSelect(columns) {
+    return splitTopLevel(String(columns || '*').replace(/\s+/g, '')).map(item => {
+        const embed = /^(\w+)\((.*)\)$/.exec(item);
+        return embed ? { embed: embed[1], columns: embed[2] || '*' } : { column: item };
+    });
+}
+
+/**
+ * Project rows onto a select list, embedding referenced rows by their foreign key
+ * @param {Object} store - Adapter state
+ * @param {string} table - Table the rows belong to
+ * @param {Object[]} rows - Rows
+ * @param {string} columns - Select list
+ * @returns {Object[]} Projected copies
+ */
+function project(store, table, rows, columns) {
+    const items = parseSelect(columns);
+    const definition = TABLES[table];
+    items.forEach(item => {
+        if (item.column && item.column !== '*' && !(item.column in definition.columns)) {
+            throw dbError('42703', `column ${table}.${item.column} does not exist`);
+        }
+        if (item.embed && !Object.values(definition.references || {}).some(ref => ref.table === item.embed)) {
+            throw dbError('PGRST200', `Could not find a relationship between '${table}' and '${item.embed}' in the schema cache`);
+        }
+    });
+
+    return rows.map(row => {
+        const result = {};
+        items.forEach(item => {
+            if (item.column === '*') {
+                Object.assign(result, clone(row));
+            } else if (item.column) {
+                result[item.column] = clone(row[item.column]);
+            } else {
+                const [foreignKey] = Object.entries(definition.references).find(([, ref]) => ref.table === item.embed);
+                const referenced = store.tables[item.embed].find(other => other.id === row[foreignKey]);
+                result[item.embed] = referenced ? project(store, item.embed, [referenced], item.columns)[0] : null;
+            }
+        });
+        return result;
+    });
+}
+
+// Query builder
+
+class MemoryQuery {
+    constructor(adapter, table) {
+        this.adapter = adapter;
+        this.table = table;
+        this.operation = 'select';
+        this.filters = [];
+        this.orders = [];
+        this.returning = null;
+        this.countMode = null;
+        this.head = false;
+        this.rangeFrom = null;
+        this.rangeTo = null;
+        this.expect = null;
+    }
+
+    select(columns = '*', { count, head } = {}) {
+        if (this.operation === 'select') {
+            this.columns = columns;
+            this.countMode = count || null;
+            this.head = !!head;
+        } else {
+            // insert(...).select() returns the written rows
+            this.returning = columns;
+        }
+        return this;
+    }
+
+    insert(rows) {
+        this.operation = 'insert';
+        this.payload = Array.isArray(rows) ? rows : [rows];
+        return this;
+    }
+
+    upsert(rows, { onConflict, ignoreDuplicates = false } = {}) {
+        this.operation = 'upsert';
+        this.payload = Array.isArray(rows) ? rows : [rows];
+        this.onConflict = onConflict ? onConflict.split(',').map(column => column.trim()) : null;
+        this.ignoreDuplicates = ignoreDuplicates;
+        return this;
+    }
+
+    update(values) {
+        this.operation = 'update';
+        this.payload = values;
+        return this;
+    }
+
+    delete() {
+        this.operation = 'delete';
+        return this;
+    }
+
+    where(predicate) {
+        this.filters.push(predicate);
+        return this;
+    }
+
+    eq(column, value) { return this.where(row => matchCondition(row, column, 'eq', value)); }
+    neq(column, value) { return this.where(row => matchCondition(row, column, 'neq', value)); }
+    gt(column, value) { return this.where(row => matchCondition(row, column, 'gt', value)); }
+    gte(column, value) { return this.where(row => matchCondition(row, column, 'gte', value)); }
+    lt(column, value) { return this.where(row => matchCondition(row, column, 'lt', value)); }
+    lte(column, value) { return this.where(row => matchCondition(row, column, 'lte', value)); }
+    like(column, pattern) { return this.where(row => matchCondition(row, column, 'like', pattern)); }
+    ilike(column, pattern) { return this.where(row => matchCondition(row, column, 'ilike', pattern)); }
+    in(column, values) { return this.where(row => matchCondition(row, column, 'in', values)); }
+    is(column, value) { return this.where(row => matchCondition(row, column, 'is', value)); }
+
+    not(column, operator, value) {
+        const operand = operator === 'in' && !Array.isArray(value) ? parseList(value) : value;
+        return this.where(row => !matchCondition(row, column, operator, operand));
+    }
+
+    filter(column, operator, value) {
+        if (operator.startsWith('not.')) {
+            return this.not(column, operator.slice(4), value);
+        }
+        return this.where(row => matchCondition(row, column, operator, operator === 'in' ? parseList(value) : value));
+    }
+
+    match(query) {
+        Object.entries(query).forEach(([column, value]) => this.eq(column, value));
+        return this;
+    }
+
+    or(expression) {
+        const predicates = parseLogic(expression);
+        return this.where(row => predicates.some(predicate => predicate(row)));
+    }
+
+    order(column, { ascending = true, nullsFirst } = {}) {
+        // PostgreSQL puts nulls last when ascending and first when descending
+        this.orders.push({ column, ascending, nullsFirst: nullsFirst === undefined ? !ascending : nullsFirst });
+        return this;
+    }
+
+    range(from, to) {
+        this.rangeFrom = from;
+        this.rangeTo = to;
+        return this;
+    }
+
+    limit(count) {
+        this.rangeFrom = this.rangeFrom || 0;
+        this.rangeTo = this.rangeFrom + count - 1;
+        return this;
+    }
+
+    single() {
+        this.expect = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.expect = 'maybeSingle';
+        return this;
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+    }
+
+    execute() {
+        try {
+            const result = this.adapter.run(this);
+            return this.shape(result);
+        } catch (error) {
+            if (error && error.code) {
+                return { data: null, error, count: null };
+            }
+            throw error;
+        }
+    }
+
+    // Apply single()/maybeSingle() to the result
+    shape({ data, count }) {
+        if (!this.expect || data === null) {
+            return { data, error: null, count };
+        }
+        if (data.length === 1) {
+            return { data: data[0], error: null, count };
+        }
+        if (data.length === 0 && this.expect === 'maybeSingle') {
+            return { data: null, error: null, count };
+        }
+        return {
+            data: null,
+            error: dbError('PGRST116', 'JSON object requested, multiple (or no) rows returned', `The result contains ${data.length} rows`),
+            count
+        };
+    }
+}
+
+// Adapter
+
+/**
+ * Create the in-memory backend
+ * @param {Object} options - { file: JSON file to load and save (optional), seed: table -> rows inserted into empty tables }
+ * @returns {Object} Object with the Supabase client interface: from, rpc, auth
+ */
+function createMemoryAdapter({ file = null, seed = {} } = {}) {
+    const store = { tables: {}, sequences: {} };
+    Object.keys(TABLES).forEach(table => {
+        store.tables[table] = [];
+        store.sequences[table] = 0;
+    });
+
+    if (file && fs.existsSync(file)) {
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        Object.keys(TABLES).forEach(table => {
+            store.tables[table] = saved.tables?.[table] || [];
+            store.sequences[table] = saved.sequences?.[table] || store.tables[table].reduce((max, row) => Math.max(max, row.id || 0), 0);
+        });
+        console.log(`💾 Loaded in-memory database from ${file}`);
+    }
+
+    // Known auth users, by id
+    const users = new Map();
+
+    function save() {
+        if (file) {
+            fs.writeFileSync(file, JSON.stringify(store, null, 2));
+        }
+    }
+
+    /**
+     * Build a full row from inserted values
+     * @param {string} table - Table name
+     * @param {Object} values - Inserted values
+     * @returns {Object} Row with defaults
+     */
+    function buildRow(table, values) {
+        const definition = TABLES[table];
+        const row = {};
+        Object.entries(definition.columns).forEach(([column, defaultValue]) => {
+            row[column] = typeof defaultValue === 'function' ? defaultValue() : defaultValue;
+        });
+        assignValues(table, row, values);
+        if (definition.serial && (row.id === null || row.id === undefined)) {
+            store.sequences[table] += 1;
+            row.id = store.sequences[table];
+        } else if (definition.serial) {
+            store.sequences[table] = Math.max(store.sequences[table], row.id);
+        }
+        return row;
+    }
+
+    function assignValues(table, row, values) {
+        Object.entries(values).forEach(([column, value]) => {
+            if (value === undefined) {
+                return;
+            }
+            if (!(column in TABLES[table].columns)) {
+                throw dbError('PGRST204', `Could not find the '${column}' column of '${table}' in the schema cache`);
+            }
+            row[column] = clone(value);
+        });
+    }
+
+    // Check unique and foreign key constraints of the rows about to be stored
+    function checkConstraints(table, rows) {
+        const definition = TABLES[table];
+        const keys = [{ name: `${table}_pkey`, columns: [definition.primaryKey || 'id'] }, ...(definition.unique || [])];
+        keys.forEach(({ name, columns, where }) => {
+            const seen = new Set();
+            rows.forEach(row => {
+                if ((where && !where(row)) || columns.some(column => row[column] === null)) {
+                    return;
+                }
+                const key = JSON.stringify(columns.map(column => row[column]));
+                if (seen.has(key)) {
+                    throw dbError('23505', `duplicate key value violates unique constraint "${name}"`,
+                        `Key (${columns.join(', ')})=(${columns.map(column => row[column]).join(', ')}) already exists.`);
+                }
+                seen.add(key);
+            });
+        });
+
+        Object.entries(definition.references || {}).forEach(([column, { table: referenced }]) => {
+            rows.forEach(row => {
+                if (row[column] !== null && !store.tables[referenced].some(other => other.id === row[column])) {
+                    throw dbError('23503', `insert or update on table "${table}" violates foreign key constraint "${table}_${column}_fkey"`,
+                        `Key (${column})=(${row[column]}) is not present in table "${referenced}".`);
+                }
+            });
+        });
+    }
+
+    // Apply ON DELETE CASCADE / SET NULL for deleted rows
+    function cascadeDelete(table, deletedIds) {
+        Object.entries(TABLES).forEach(([other, definition]) => {
+            Object.entries(definition.references || {}).forEach(([column, { table: referenced, onDelete }]) => {
+                if (referenced !== table) {
+                    return;
+                }
+                const affected = store.tables[other].filter(row => deletedIds.includes(row[column]));
+                if (affected.length === 0) {
+                    return;
+                }
+                if (onDelete === 'cascade') {
+                    store.tables[other] = store.tables[other].filter(row => !affected.includes(row));
+                    cascadeDelete(other, affected.map(row => row.id));
+                } else {
+                    affected.forEach(row => { row[column] = null; });
+                }
+            });
+        });
+    }
+
+    function selectRows(query) {
+        let rows = store.tables[query.table].filter(row => query.filters.every(predicate => predicate(row)));
+
+        if (query.orders.length > 0) {
+            rows = [...rows].sort((a, b) => {
+                for (const { column, ascending, nullsFirst } of query.orders) {
+                    const x = a[column] === undefined ? null : a[column];
+                    const y = b[column] === undefined ? null : b[column];
+                    if (x === null || y === null) {
+                        if (x === y) continue;
+                        return (x === null) === nullsFirst ? -1 : 1;
+                    }
+                    const result = compare(x, y);
+                    if (result !== 0) {
+                        return ascending ? result : -result;
+                    }
+                }
+                return 0;
+            });
+        }
+
+        const count = rows.length;
+        if (query.rangeFrom !== null) {
+            if (query.rangeFrom > 0 && query.rangeFrom >= count) {
+                throw dbError('PGRST103', 'Requested range not satisfiable', `An offset of ${query.rangeFrom} was requested, but there are only ${count} rows.`);
+            }
+            rows = rows.slice(query.rangeFrom, query.rangeTo + 1);
+        }
+        return { rows, count };
+    }
+
+    // Replace the rows of a table after checking its constraints; nothing changes if one fails
+    function commit(table, nextRows) {
+        checkConstraints(table, nextRows);
+        store.tables[table] = nextRows;
+    }
+
+    function insertRows(table, payload) {
+        const definition = TABLES[table];
+        const inserted = payload.map(values => {
+            const row = buildRow(table, values);
+            if (definition.beforeInsert) {
+                definition.beforeInsert(row, null, store);
+            }
+            return row;
+        });
+        commit(table, [...store.tables[table], ...inserted]);
+        return inserted;
+    }
+
+    function updateRows(table, targets, values) {
+        const definition = TABLES[table];
+        const replacements = new Map();
+        targets.forEach(old => {
+            const row = { ...old };
+            assignValues(table, row, values);
+            if (definition.beforeUpdate) {
+                definition.beforeUpdate(row, old, store);
+            }
+            replacements.set(old, row);
+        });
+        commit(table, store.tables[table].map(row => replacements.get(row) || row));
+        return [...replacements.values()];
+    }
+
+    function run(query) {
+        const { table } = query;
+        if (!TABLES[table]) {
+            throw dbError('PGRST205', `Could not find the table 'public.${table}' in the schema cache`);
+        }
+
+        if (query.operation === 'select') {
+            const { rows, count } = selectRows(query);
+            return {
+                data: query.head ? null : project(store, table, rows, query.columns),
+                count: query.countMode ? count : null
+            };
+        }
+
+        let written;
+        if (query.operation === 'insert') {
+            written = insertRows(table, query.payload);
+        } else if (query.operation === 'upsert') {
+            const conflictColumns = query.onConflict || [TABLES[table].primaryKey || 'id'];
+            written = [];
+            query.payload.forEach(values => {
+                const existing = store.tables[table].find(row => conflictColumns.every(column => row[column] === values[column]));
+                if (!existing) {
+                    written.push(...insertRows(table, [values]));
+                } else if (!query.ignoreDuplicates) {
+                    written.push(...updateRows(table, [existing], values));
+                }
+            });
+        } else if (query.operation === 'update') {
+            written = updateRows(table, selectRows(query).rows, query.payload);
+        } else {
+            written = selectRows(query).rows;
+            store.tables[table] = store.tables[table].filter(row => !written.includes(row));
+            cascadeDelete(table, written.map(row => row.id));
+        }
+
+        save();
+        return { data: query.returning !== null ? project(store, table, written, query.returning) : null, count: null };
+    }
+
+    /**
+     * Local auth: the bearer token is the user's email address. Each email maps to a stable UUID.
+     * Roles still come from user_roles (or DEFAULT_USER_ROLE).
+     * @param {string} token - Bearer token
+     * @returns {Object|null} User, or null when the token is not an email address
+     */
+    function localUser(token) {
+        const email = String(token || '').trim().toLowerCase();
+        if (!/^[^@\s]+@[^@\s]+$/.test(email)) {
+            return null;
+        }
+        const hash = crypto.createHash('sha1').update(email).digest('hex');
+        const id = `${hash.slice(0, 8)}-${hash.slice(8, 12)}-${hash.slice(12, 16)}-${hash.slice(16, 20)}-${hash.slice(20, 32)}`;
+        const user = { id, email, aud: 'authenticated', role: 'authenticated', user_metadata: {}, app_metadata: { provider: 'local' } };
+        users.set(id, user);
+        return user;
+    }
+
+    const adapter = {
+        backend: 'memory',
+        run,
+
+        from(table) {
+            return new MemoryQuery(adapter, table);
+        },
+
+        async rpc(name, params = {}) {
+            if (!FUNCTIONS[name]) {
+                return { data: null, error: dbError('PGRST202', `Could not find the function public.${name} in the schema cache`) };
+            }
+            const data = FUNCTIONS[name](store, params);
+            save();
+            return { data, error: null };
+        },
+
+        auth: {
+            async getUser(token) {
+                const user = localUser(token);
+                if (!user) {
+                    return { data: { user: null }, error: { message: 'Local auth expects the user\'s email address as the bearer token', status: 401 } };
+                }
+                return { data: { user }, error: null };
+            },
+            admin: {
+                // Users who have signed in since the server started, plus everyone with a role
+                async listUsers() {
+                    const known = new Map(users);
+                    store.tables.user_roles.forEach(row => {
+                        if (!known.has(row.user_id)) {
+                            known.set(row.user_id, { id: row.user_id, email: row.email });
+                        }
+                    });
+                    return { data: { users: [...known.values()] }, error: null };
+                }
+            }
+        }
+    };
+
+    // Seed empty tables (e.g. the built-in taxonomy values)
+    Object.entries(seed).forEach(([table, rows]) => {
+        if (TABLES[table] && store.tables[table].length === 0 && rows.length > 0) {
+            insertRows(table, rows);
+        }
+    });
+    save();
+
+    return adapter;
+}
+
+module.exports = {
+    MEMORY_TABLES: TABLES,
+    createMemoryAdapter
+};
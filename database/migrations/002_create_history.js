@@ -0,0 +1,36 @@
+// Append-only change history for enhancements (one row per changed field)
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS enhancement_history (
+    id BIGSERIAL PRIMARY KEY,
+    enhancement_id INTEGER NOT NULL REFERENCES enhancements(id) ON DELETE CASCADE,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'import', 'slack')),
+    field_name TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    actor_id TEXT,
+    actor_name TEXT NOT NULL,
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_enhancement_history_enhancement ON enhancement_history(enhancement_id, changed_at DESC);
+
+-- History entries can never be edited once written
+CREATE OR REPLACE FUNCTION prevent_history_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'enhancement_history is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS enhancement_history_append_only ON enhancement_history;
+CREATE TRIGGER enhancement_history_append_only
+    BEFORE UPDATE ON enhancement_history
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_history_update();
+`,
+    down: `
+DROP TABLE IF EXISTS enhancement_history;
+DROP FUNCTION IF EXISTS prevent_history_update();
+`
+};
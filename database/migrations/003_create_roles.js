@@ -0,0 +1,23 @@
+// Role-based access control: one role per user, plus the creator of each enhancement
+// Roles: viewer, submitter, triager, admin. Users without a row get DEFAULT_USER_ROLE (submitter).
+// Bootstrap the first admin from the SQL editor:
+//   INSERT INTO user_roles (user_id, email, role) VALUES ('<auth user id>', '<email>', 'admin');
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS user_roles (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    email TEXT,
+    role TEXT NOT NULL DEFAULT 'submitter' CHECK (role IN ('viewer', 'submitter', 'triager', 'admin')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE enhancements ADD COLUMN IF NOT EXISTS created_by UUID;
+CREATE INDEX IF NOT EXISTS idx_enhancements_created_by ON enhancements(created_by);
+`,
+    down: `
+DROP INDEX IF EXISTS idx_enhancements_created_by;
+ALTER TABLE enhancements DROP COLUMN IF EXISTS created_by;
+DROP TABLE IF EXISTS user_roles;
+`
+};
@@ -0,0 +1,23 @@
+// Soft delete: deleted requests keep their row (and history) until purged from the Trash
+module.exports = {
+    up: `
+ALTER TABLE enhancements ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE enhancements ADD COLUMN IF NOT EXISTS deleted_by UUID;
+CREATE INDEX IF NOT EXISTS idx_enhancements_deleted_at ON enhancements(deleted_at);
+
+-- NOT VALID: databases set up before migrations already have merge entries (allowed again by 006)
+ALTER TABLE enhancement_history DROP CONSTRAINT IF EXISTS enhancement_history_action_check;
+ALTER TABLE enhancement_history ADD CONSTRAINT enhancement_history_action_check
+    CHECK (action IN ('create', 'update', 'import', 'slack', 'delete', 'restore')) NOT VALID;
+`,
+    // Fails while history still has delete/restore entries
+    down: `
+ALTER TABLE enhancement_history DROP CONSTRAINT IF EXISTS enhancement_history_action_check;
+ALTER TABLE enhancement_history ADD CONSTRAINT enhancement_history_action_check
+    CHECK (action IN ('create', 'update', 'import', 'slack'));
+
+DROP INDEX IF EXISTS idx_enhancements_deleted_at;
+ALTER TABLE enhancements DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE enhancements DROP COLUMN IF EXISTS deleted_at;
+`
+};
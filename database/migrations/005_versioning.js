@@ -0,0 +1,24 @@
+// Optimistic concurrency: every update bumps enhancements.version, which the API exposes as the ETag
+module.exports = {
+    up: `
+ALTER TABLE enhancements ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+CREATE OR REPLACE FUNCTION bump_enhancement_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.version := OLD.version + 1;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS bump_enhancement_version ON enhancements;
+CREATE TRIGGER bump_enhancement_version
+    BEFORE UPDATE ON enhancements
+    FOR EACH ROW EXECUTE FUNCTION bump_enhancement_version();
+`,
+    down: `
+DROP TRIGGER IF EXISTS bump_enhancement_version ON enhancements;
+DROP FUNCTION IF EXISTS bump_enhancement_version();
+ALTER TABLE enhancements DROP COLUMN IF EXISTS version;
+`
+};
@@ -0,0 +1,20 @@
+// Merging duplicates: merged requests are soft-deleted and point at the request they were folded into
+module.exports = {
+    up: `
+ALTER TABLE enhancements ADD COLUMN IF NOT EXISTS merged_into INTEGER REFERENCES enhancements(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_enhancements_merged_into ON enhancements(merged_into);
+
+ALTER TABLE enhancement_history DROP CONSTRAINT IF EXISTS enhancement_history_action_check;
+ALTER TABLE enhancement_history ADD CONSTRAINT enhancement_history_action_check
+    CHECK (action IN ('create', 'update', 'import', 'slack', 'delete', 'restore', 'merge'));
+`,
+    // Fails while history still has merge entries
+    down: `
+ALTER TABLE enhancement_history DROP CONSTRAINT IF EXISTS enhancement_history_action_check;
+ALTER TABLE enhancement_history ADD CONSTRAINT enhancement_history_action_check
+    CHECK (action IN ('create', 'update', 'import', 'slack', 'delete', 'restore'));
+
+DROP INDEX IF EXISTS idx_enhancements_merged_into;
+ALTER TABLE enhancements DROP COLUMN IF EXISTS merged_into;
+`
+};
@@ -0,0 +1,25 @@
+// Typed links between enhancements: source blocks target, source relates to target, source is parent (epic) of target
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS enhancement_links (
+    id BIGSERIAL PRIMARY KEY,
+    source_id INTEGER NOT NULL REFERENCES enhancements(id) ON DELETE CASCADE,
+    target_id INTEGER NOT NULL REFERENCES enhancements(id) ON DELETE CASCADE,
+    link_type TEXT NOT NULL CHECK (link_type IN ('blocks', 'relates_to', 'parent_of')),
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT enhancement_links_not_self CHECK (source_id <> target_id),
+    CONSTRAINT enhancement_links_unique UNIQUE (source_id, target_id, link_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_enhancement_links_source ON enhancement_links(source_id);
+CREATE INDEX IF NOT EXISTS idx_enhancement_links_target ON enhancement_links(target_id);
+
+-- A request can have at most one parent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_enhancement_links_single_parent
+    ON enhancement_links(target_id) WHERE link_type = 'parent_of';
+`,
+    down: `
+DROP TABLE IF EXISTS enhancement_links;
+`
+};
@@ -0,0 +1,38 @@
+// Comment threads on enhancements, and notifications for @mentions
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS enhancement_comments (
+    id BIGSERIAL PRIMARY KEY,
+    enhancement_id INTEGER NOT NULL REFERENCES enhancements(id) ON DELETE CASCADE,
+    parent_id BIGINT REFERENCES enhancement_comments(id) ON DELETE CASCADE,
+    author_id UUID NOT NULL,
+    author_name TEXT NOT NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_enhancement_comments_enhancement
+    ON enhancement_comments(enhancement_id, created_at);
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (type IN ('mention')),
+    enhancement_id INTEGER REFERENCES enhancements(id) ON DELETE CASCADE,
+    comment_id BIGINT REFERENCES enhancement_comments(id) ON DELETE CASCADE,
+    actor_id UUID,
+    actor_name TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    read_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT notifications_unique_mention UNIQUE (user_id, comment_id, type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+`,
+    down: `
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS enhancement_comments;
+`
+};
@@ -0,0 +1,20 @@
+// Upvotes: one per user per request, optionally recording why and for which customer
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS enhancement_votes (
+    id BIGSERIAL PRIMARY KEY,
+    enhancement_id INTEGER NOT NULL REFERENCES enhancements(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    user_name TEXT NOT NULL,
+    note TEXT,
+    customer TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT enhancement_votes_one_per_user UNIQUE (enhancement_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_enhancement_votes_enhancement ON enhancement_votes(enhancement_id);
+`,
+    down: `
+DROP TABLE IF EXISTS enhancement_votes;
+`
+};
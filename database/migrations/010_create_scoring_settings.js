@@ -0,0 +1,14 @@
+// Prioritization scoring settings (weights and field values for the RICE/WSJF models)
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS scoring_settings (
+    id TEXT PRIMARY KEY DEFAULT 'default',
+    config JSONB NOT NULL,
+    updated_by TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+`,
+    down: `
+DROP TABLE IF EXISTS scoring_settings;
+`
+};
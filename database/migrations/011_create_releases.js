@@ -0,0 +1,24 @@
+// Release planning: versioned releases that approved enhancements are assigned to
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS releases (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    target_date DATE,
+    status TEXT NOT NULL DEFAULT 'planned' CHECK (status IN ('planned', 'in_progress', 'released', 'cancelled')),
+    -- Capacity in man-days, compared with the summed effort_level of the assigned enhancements
+    capacity NUMERIC CHECK (capacity IS NULL OR capacity >= 0),
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE enhancements ADD COLUMN IF NOT EXISTS release_id INTEGER REFERENCES releases(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_enhancements_release_id ON enhancements(release_id);
+`,
+    down: `
+DROP INDEX IF EXISTS idx_enhancements_release_id;
+ALTER TABLE enhancements DROP COLUMN IF EXISTS release_id;
+DROP TABLE IF EXISTS releases;
+`
+};
@@ -0,0 +1,48 @@
+// Admin-managed taxonomy: the allowed values of the enumerated request fields
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS taxonomy_values (
+    id SERIAL PRIMARY KEY,
+    category TEXT NOT NULL CHECK (category IN ('typeOfRequest', 'areaOfProduct', 'desireLevel', 'difficultyLevel', 'priorityLevel', 'whoBenefits')),
+    value TEXT NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    -- Value used when a request arrives without one (Slack intake, CSV priority)
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT taxonomy_values_unique UNIQUE (category, value)
+);
+
+INSERT INTO taxonomy_values (category, value, sort_order, is_default) VALUES
+    ('typeOfRequest', 'Bug Fix', 1, FALSE),
+    ('typeOfRequest', 'New Feature', 2, FALSE),
+    ('typeOfRequest', 'Enhancement (UI)', 3, FALSE),
+    ('typeOfRequest', 'Enhancement (Feature)', 4, TRUE),
+    ('areaOfProduct', 'Buyer Portal', 1, TRUE),
+    ('areaOfProduct', 'Supplier Hub', 2, FALSE),
+    ('areaOfProduct', 'Procurement', 3, FALSE),
+    ('areaOfProduct', 'Guides', 4, FALSE),
+    ('areaOfProduct', 'Documentation', 5, FALSE),
+    ('desireLevel', 'Must-have', 1, FALSE),
+    ('desireLevel', 'Nice-to-have', 2, TRUE),
+    ('difficultyLevel', 'Simple', 1, FALSE),
+    ('difficultyLevel', 'Complex', 2, FALSE),
+    ('difficultyLevel', 'Involved', 3, FALSE),
+    ('priorityLevel', 'Critical', 1, FALSE),
+    ('priorityLevel', 'High', 2, FALSE),
+    ('priorityLevel', 'Medium', 3, TRUE),
+    ('priorityLevel', 'Low', 4, FALSE),
+    ('whoBenefits', 'Clients - procurement', 1, FALSE),
+    ('whoBenefits', 'Clients - end users', 2, FALSE),
+    ('whoBenefits', 'Suppliers', 3, FALSE),
+    ('whoBenefits', 'Internal', 4, TRUE)
+ON CONFLICT (category, value) DO NOTHING;
+
+-- New Who Benefits values would be rejected by a hard-coded check on the column
+ALTER TABLE enhancements DROP CONSTRAINT IF EXISTS enhancements_who_benefits_check;
+`,
+    down: `
+DROP TABLE IF EXISTS taxonomy_values;
+`
+};
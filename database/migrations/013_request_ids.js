@@ -0,0 +1,78 @@
+// Request IDs assigned by the database in the same INSERT (no TEMP-/SLACK- placeholder and second update).
+// Areas and types can have their own prefix (e.g. SH-000001); everything else uses REQ-.
+module.exports = {
+    up: `
+-- Prefix per Area of Product / Type of Request value. The area prefix wins over the type prefix.
+ALTER TABLE taxonomy_values ADD COLUMN IF NOT EXISTS request_id_prefix TEXT
+    CHECK (request_id_prefix IS NULL OR request_id_prefix ~ '^[A-Z0-9]{1,10}$');
+
+CREATE TABLE IF NOT EXISTS request_id_counters (
+    prefix TEXT PRIMARY KEY,
+    last_number INTEGER NOT NULL DEFAULT 0
+);
+
+-- Continue after the highest REQ- number already handed out (old IDs were REQ- plus the row id)
+INSERT INTO request_id_counters (prefix, last_number)
+SELECT 'REQ', GREATEST(
+    COALESCE((SELECT MAX(SUBSTRING(request_id FROM '^REQ-([0-9]+)$')::INTEGER) FROM enhancements), 0),
+    COALESCE((SELECT MAX(id) FROM enhancements), 0)
+)
+ON CONFLICT (prefix) DO UPDATE SET last_number = GREATEST(request_id_counters.last_number, EXCLUDED.last_number);
+
+-- Next ID for a request in the given area and type. The counter row is locked by the upsert,
+-- so concurrent inserts never get the same number.
+CREATE OR REPLACE FUNCTION next_request_id(p_area TEXT, p_type TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    v_prefix TEXT;
+    v_number INTEGER;
+    v_request_id TEXT;
+BEGIN
+    SELECT request_id_prefix INTO v_prefix FROM taxonomy_values
+    WHERE category = 'areaOfProduct' AND value = p_area AND request_id_prefix IS NOT NULL;
+
+    IF v_prefix IS NULL THEN
+        SELECT request_id_prefix INTO v_prefix FROM taxonomy_values
+        WHERE category = 'typeOfRequest' AND value = p_type AND request_id_prefix IS NOT NULL;
+    END IF;
+
+    v_prefix := COALESCE(v_prefix, 'REQ');
+
+    LOOP
+        INSERT INTO request_id_counters (prefix, last_number) VALUES (v_prefix, 1)
+        ON CONFLICT (prefix) DO UPDATE SET last_number = request_id_counters.last_number + 1
+        RETURNING last_number INTO v_number;
+
+        v_request_id := v_prefix || '-' || LPAD(v_number::TEXT, GREATEST(6, LENGTH(v_number::TEXT)), '0');
+
+        -- Skip numbers taken by hand-edited or imported IDs
+        EXIT WHEN NOT EXISTS (SELECT 1 FROM enhancements WHERE request_id = v_request_id);
+    END LOOP;
+
+    RETURN v_request_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION assign_request_id()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.request_id IS NULL OR NEW.request_id ~ '^(TEMP|SLACK)-' THEN
+        NEW.request_id := next_request_id(NEW.area_of_product, NEW.type_of_request);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS enhancements_assign_request_id ON enhancements;
+CREATE TRIGGER enhancements_assign_request_id
+    BEFORE INSERT ON enhancements
+    FOR EACH ROW EXECUTE FUNCTION assign_request_id();
+`,
+    down: `
+DROP TRIGGER IF EXISTS enhancements_assign_request_id ON enhancements;
+DROP FUNCTION IF EXISTS assign_request_id();
+DROP FUNCTION IF EXISTS next_request_id(TEXT, TEXT);
+DROP TABLE IF EXISTS request_id_counters;
+ALTER TABLE taxonomy_values DROP COLUMN IF EXISTS request_id_prefix;
+`
+};
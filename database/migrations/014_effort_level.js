@@ -0,0 +1,19 @@
+// Databases created with the first setup SQL have impact_level, which the server never reads or writes,
+// and no effort_level. Add effort_level and stop requiring impact_level so inserts succeed.
+module.exports = {
+    up: `
+ALTER TABLE enhancements ADD COLUMN IF NOT EXISTS effort_level NUMERIC CHECK (effort_level IS NULL OR effort_level >= 0);
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'enhancements' AND column_name = 'impact_level'
+    ) THEN
+        ALTER TABLE enhancements ALTER COLUMN impact_level DROP NOT NULL;
+    END IF;
+END $$;
+`,
+    // Nothing to undo: effort_level is part of the enhancements table from 001 on
+    down: ''
+};
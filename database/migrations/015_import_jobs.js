@@ -0,0 +1,31 @@
+// Background CSV/JSON imports: one row per import job, updated with its progress while it runs
+module.exports = {
+    up: `
+CREATE TABLE IF NOT EXISTS import_jobs (
+    id UUID PRIMARY KEY,
+    source TEXT NOT NULL CHECK (source IN ('csv', 'json')),
+    file_name TEXT,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    -- { upsert, atomic } as sent with the import
+    options JSONB NOT NULL DEFAULT '{}',
+    total INTEGER NOT NULL DEFAULT 0,
+    processed INTEGER NOT NULL DEFAULT 0,
+    succeeded INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    -- Final report (same shape as a synchronous import response) and the failed rows as CSV
+    report JSONB,
+    error_report TEXT,
+    error TEXT,
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_jobs_created_at ON import_jobs(created_at);
+`,
+    down: `
+DROP TABLE IF EXISTS import_jobs;
+`
+};
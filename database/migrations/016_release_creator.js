@@ -0,0 +1,26 @@
+// releases.created_by held the creator's email; store the auth user ID like every other created_by column,
+// and keep the email as created_by_name for display
+module.exports = {
+    up: `
+ALTER TABLE releases ADD COLUMN IF NOT EXISTS created_by_name TEXT;
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'releases' AND column_name = 'created_by' AND data_type = 'text'
+    ) THEN
+        -- Earlier releases only recorded an email, which is no user ID
+        UPDATE releases SET created_by_name = created_by
+        WHERE created_by_name IS NULL AND created_by !~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$';
+        ALTER TABLE releases ALTER COLUMN created_by TYPE UUID USING (
+            CASE WHEN created_by_name IS NULL THEN created_by::UUID END
+        );
+    END IF;
+END $$;
+`,
+    down: `
+ALTER TABLE releases ALTER COLUMN created_by TYPE TEXT USING COALESCE(created_by_name, created_by::TEXT);
+ALTER TABLE releases DROP COLUMN IF EXISTS created_by_name;
+`
+};
@@ -0,0 +1,13 @@
+// Explicit internal-only flag: flagged requests are left out of release notes. Requests whose Who Benefits
+// is only Internal were treated as internal-only before the flag existed, so they start out flagged.
+module.exports = {
+    up: `
+ALTER TABLE enhancements ADD COLUMN IF NOT EXISTS internal_only BOOLEAN NOT NULL DEFAULT FALSE;
+
+UPDATE enhancements SET internal_only = TRUE
+WHERE who_benefits ~ '^\\s*Internal\\s*(,\\s*Internal\\s*)*$';
+`,
+    down: `
+ALTER TABLE enhancements DROP COLUMN IF EXISTS internal_only;
+`
+};
@@ -0,0 +1,17 @@
+// Import jobs are worked through in parts by POST /api/import-jobs/:id/continue rather than in the background:
+// the job keeps its uploaded records and where it got to, and a claim so two calls cannot import the same rows
+module.exports = {
+    up: `
+-- Uploaded records, dropped once the job has finished
+ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS records JSONB;
+-- { phase, cursor, seenRequestIds, rows, failures, validationErrors, applied, actor } between continue calls
+ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS state JSONB;
+-- Held by the continue call working on the job; in the past when no call is
+ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS claimed_until TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT 'epoch';
+`,
+    down: `
+ALTER TABLE import_jobs DROP COLUMN IF EXISTS claimed_until;
+ALTER TABLE import_jobs DROP COLUMN IF EXISTS state;
+ALTER TABLE import_jobs DROP COLUMN IF EXISTS records;
+`
+};
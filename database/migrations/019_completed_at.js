@@ -0,0 +1,43 @@
+// When a request last became complete. Release notes for a date range select on it, so they stay the same when
+// a completed request is edited later (updated_at moves with every write, including flagging the notes).
+module.exports = {
+    up: `
+ALTER TABLE enhancements ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE OR REPLACE FUNCTION set_enhancement_completed_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status = 'complete' AND OLD.status IS DISTINCT FROM 'complete' THEN
+        NEW.completed_at := NOW();
+    ELSIF NEW.status IS DISTINCT FROM 'complete' THEN
+        NEW.completed_at := NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_enhancement_completed_at ON enhancements;
+CREATE TRIGGER set_enhancement_completed_at
+    BEFORE UPDATE ON enhancements
+    FOR EACH ROW EXECUTE FUNCTION set_enhancement_completed_at();
+
+-- Requests that are already complete: when the change history last shows the status becoming complete, or
+-- their last update if it has none. The triggers are off meanwhile so updated_at and version do not move.
+ALTER TABLE enhancements DISABLE TRIGGER USER;
+UPDATE enhancements e SET completed_at = COALESCE(
+    (SELECT MAX(h.changed_at) FROM enhancement_history h
+     WHERE h.enhancement_id = e.id AND h.field_name = 'status' AND h.new_value = 'complete'),
+    e.updated_at
+)
+WHERE e.status = 'complete' AND e.completed_at IS NULL;
+ALTER TABLE enhancements ENABLE TRIGGER USER;
+
+CREATE INDEX IF NOT EXISTS idx_enhancements_completed_at ON enhancements(completed_at);
+`,
+    down: `
+DROP INDEX IF EXISTS idx_enhancements_completed_at;
+DROP TRIGGER IF EXISTS set_enhancement_completed_at ON enhancements;
+DROP FUNCTION IF EXISTS set_enhancement_completed_at();
+ALTER TABLE enhancements DROP COLUMN IF EXISTS completed_at;
+`
+};
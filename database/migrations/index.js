@@ -0,0 +1,41 @@
+// Schema migrations
+// Each NNN_name.js file in this directory exports { up, down } SQL and is applied in version order by
+// scripts/migrate.js, which records it in the schema_migrations table. Migrations are written to be safe on
+// databases set up before migrations existed (IF NOT EXISTS, DROP ... IF EXISTS before CREATE).
+// Never change a migration that has been applied somewhere - add a new one instead.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+/**
+ * Load every migration in version order
+ * @param {string} directory - Directory holding the migration files
+ * @returns {Object[]} Migrations of { version, name, up, down }
+ */
+function loadMigrations(directory = __dirname) {
+    const migrations = fs.readdirSync(directory)
+        .map(file => MIGRATION_FILE_PATTERN.exec(file))
+        .filter(Boolean)
+        .map(([file, version, name]) => {
+            const { up, down } = require(path.join(directory, file));
+            if (typeof up !== 'string' || typeof down !== 'string') {
+                throw new Error(`Migration ${file} must export up and down SQL strings`);
+            }
+            return { version, name, up, down };
+        })
+        .sort((a, b) => a.version.localeCompare(b.version));
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Two migrations share version ${migration.version}: ${migrations[index - 1].name} and ${migration.name}`);
+        }
+    });
+
+    return migrations;
+}
+
+module.exports = {
+    loadMigrations
+};
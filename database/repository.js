@@ -0,0 +1,42 @@
+// Storage backends
+// The server reaches every table through the repository returned by createRepository(), never through a
+// Supabase client of its own. STORAGE_BACKEND picks the implementation:
+// - supabase (default): the Supabase project at SUPABASE_URL
+// - memory: database/memory-adapter.js, for offline development and tests (MEMORY_DB_FILE keeps the data)
+//
+// The repository interface is the part of the supabase-js client the server uses:
+// - from(table) with select (optionally { count: 'exact', head }), insert, update, upsert ({ onConflict, ignoreDuplicates })
+//   and delete; the filters eq, neq, gt, gte, lt, lte, like, ilike, in, is, not, or, filter and match; and order,
+//   range, limit, single and maybeSingle
+// - rpc(name, params)
+// - auth.getUser(token) and auth.admin.listUsers()
+// Every call resolves to { data, error, count } with PostgREST/Postgres error codes (PGRST116, 23505, ...), so a
+// backend has to reproduce those codes for the routes that check them.
+
+const { createClient } = require('@supabase/supabase-js');
+
+const STORAGE_BACKENDS = ['supabase', 'memory'];
+
+/**
+ * Create the repository for the configured backend
+ * @param {Object} options - { backend, supabaseUrl, supabaseKey, memoryFile, seed }
+ *   seed: table -> rows to insert into empty tables of the memory backend
+ * @returns {Object} Repository with from(), rpc() and auth
+ */
+function createRepository({ backend = 'supabase', supabaseUrl, supabaseKey, memoryFile = null, seed = {} } = {}) {
+    if (!STORAGE_BACKENDS.includes(backend)) {
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}". Must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+    }
+
+    if (backend === 'memory') {
+        const { createMemoryAdapter } = require('./memory-adapter');
+        return createMemoryAdapter({ file: memoryFile, seed });
+    }
+
+    return createClient(supabaseUrl, supabaseKey);
+}
+
+module.exports = {
+    STORAGE_BACKENDS,
+    createRepository
+};
@@ -0,0 +1,139 @@
+// Backup snapshots
+// A snapshot is one JSON file per table in backups/, named <table>-export-<timestamp>.json. Each file holds an
+// array of rows with camelCase keys, the shape of the original enhancements-export-*.json files, so an old
+// enhancements-only export is a snapshot too (the restore leaves out columns the schema no longer has, such as
+// impact_level). Written by scripts/backup-data.js, replayed by scripts/restore-data.js.
+
+const fs = require('fs');
+const path = require('path');
+
+const BACKUP_DIR = path.join(__dirname, '..', 'backups');
+
+// Every tracker table, parents before the tables that reference them (the restore order)
+// - primaryKey: column identifying a row
+// - serial: id comes from a sequence, which the restore moves past the restored IDs
+// - parentColumn: reference to a row of the same table, restored parent first
+// - userColumn: reference to auth.users, whose users a new project may not have
+// - seeded: filled by a migration, so the restore replaces the rows instead of requiring an empty table
+const SNAPSHOT_TABLES = [
+    { name: 'taxonomy_values', primaryKey: 'id', serial: true, seeded: true },
+    { name: 'request_id_counters', primaryKey: 'prefix', seeded: true },
+    { name: 'scoring_settings', primaryKey: 'id' },
+    { name: 'releases', primaryKey: 'id', serial: true },
+    { name: 'enhancements', primaryKey: 'id', serial: true, parentColumn: 'merged_into' },
+    { name: 'enhancement_history', primaryKey: 'id', serial: true },
+    { name: 'enhancement_links', primaryKey: 'id', serial: true },
+    { name: 'enhancement_comments', primaryKey: 'id', serial: true, parentColumn: 'parent_id' },
+    { name: 'notifications', primaryKey: 'id', serial: true, userColumn: 'user_id' },
+    { name: 'enhancement_votes', primaryKey: 'id', serial: true },
+    { name: 'user_roles', primaryKey: 'user_id', userColumn: 'user_id' }
+];
+
+const SNAPSHOT_FILE_PATTERN = /^([a-z_]+)-export-(.+)\.json$/;
+
+/**
+ * Timestamp naming a new snapshot, safe in file names
+ * @returns {string} e.g. 2025-09-25T11-58-27-109Z
+ */
+function snapshotTimestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * @param {string} table - Table name
+ * @param {string} timestamp - Snapshot timestamp
+ * @returns {string} File name of the table in the snapshot
+ */
+function snapshotFileName(table, timestamp) {
+    return `${table}-export-${timestamp}.json`;
+}
+
+/**
+ * List the snapshots in a directory
+ * @param {string} directory - Backup directory
+ * @returns {string[]} Snapshot timestamps, oldest first
+ */
+function listSnapshots(directory = BACKUP_DIR) {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+
+    const timestamps = new Set();
+    fs.readdirSync(directory).forEach(file => {
+        const match = SNAPSHOT_FILE_PATTERN.exec(file);
+        if (match && SNAPSHOT_TABLES.some(table => table.name === match[1])) {
+            timestamps.add(match[2]);
+        }
+    });
+    return [...timestamps].sort();
+}
+
+/**
+ * Read a snapshot
+ * @param {string} directory - Backup directory
+ * @param {string} timestamp - Snapshot timestamp
+ * @returns {Object} Table name -> rows with snake_case columns, for the tables the snapshot contains
+ */
+function readSnapshot(directory, timestamp) {
+    const snapshot = {};
+    SNAPSHOT_TABLES.forEach(({ name }) => {
+        const file = path.join(directory, snapshotFileName(name, timestamp));
+        if (!fs.existsSync(file)) {
+            return;
+        }
+
+        const rows = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(rows)) {
+            throw new Error(`${file} does not hold an array of rows`);
+        }
+        snapshot[name] = rows.map(rowFromSnapshot);
+    });
+    return snapshot;
+}
+
+/**
+ * Write one table of a snapshot
+ * @param {string} directory - Backup directory
+ * @param {string} timestamp - Snapshot timestamp
+ * @param {string} table - Table name
+ * @param {Object[]} rows - Rows with snake_case columns
+ * @returns {string} Path of the written file
+ */
+function writeSnapshotTable(directory, timestamp, table, rows) {
+    if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    const file = path.join(directory, snapshotFileName(table, timestamp));
+    fs.writeFileSync(file, JSON.stringify(rows.map(rowToSnapshot), null, 2));
+    return file;
+}
+
+const toCamelCase = name => name.replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+const toSnakeCase = name => name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
+/**
+ * @param {Object} row - Database row
+ * @returns {Object} Row with camelCase keys
+ */
+function rowToSnapshot(row) {
+    return Object.fromEntries(Object.entries(row).map(([column, value]) => [toCamelCase(column), value]));
+}
+
+/**
+ * @param {Object} row - Snapshot row
+ * @returns {Object} Row with snake_case columns
+ */
+function rowFromSnapshot(row) {
+    return Object.fromEntries(Object.entries(row).map(([key, value]) => [toSnakeCase(key), value]));
+}
+
+module.exports = {
+    BACKUP_DIR,
+    SNAPSHOT_TABLES,
+    snapshotTimestamp,
+    snapshotFileName,
+    listSnapshots,
+    readSnapshot,
+    writeSnapshotTable
+};
@@ -1,49 +1,94 @@
 // Backup script for Enhancement Tracker data
-const sqlite3 = require('sqlite3').verbose();
-const fs = require('fs');
-const path = require('path');
-
-// Create backup directory
-const backupDir = './backups';
-if (!fs.existsSync(backupDir)) {
-    fs.mkdirSync(backupDir);
-}
+// Exports every tracker table through the configured storage backend (STORAGE_BACKEND, see database/repository.js)
+// to backups/<table>-export-<timestamp>.json. Restore a snapshot with scripts/restore-data.js.
+//
+// Tables are read one after another, children first, so a request created during the backup cannot leave a
+// comment or history row pointing at a request missing from the snapshot.
+//
+// Usage: npm run backup
+require('dotenv').config({ path: './env.local' });
+const { createRepository } = require('../database/repository');
+const { BACKUP_DIR, SNAPSHOT_TABLES, snapshotTimestamp, writeSnapshotTable } = require('../database/snapshots');
+
+const backend = process.env.STORAGE_BACKEND || 'supabase';
+const supabaseUrl = process.env.SUPABASE_URL;
+// The anon key is subject to row level security and could silently miss rows, so only the service role key will do
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const memoryFile = process.env.MEMORY_DB_FILE;
 
-// Backup SQLite database
-function backupDatabase() {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupFile = path.join(backupDir, `enhancements-backup-${timestamp}.db`);
-    
-    // Copy database file
-    fs.copyFileSync('./enhancements.db', backupFile);
-    console.log(`✅ Database backed up to: ${backupFile}`);
-    
-    return backupFile;
+if (backend === 'supabase' && (!supabaseUrl || !supabaseKey)) {
+    console.error('❌ Missing Supabase configuration (SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY)');
+    process.exit(1);
+}
+if (backend === 'memory' && !memoryFile) {
+    console.error('❌ The memory backend keeps no data between runs - set MEMORY_DB_FILE to back up its file');
+    process.exit(1);
 }
 
-// Export data to JSON
-function exportToJSON() {
-    const db = new sqlite3.Database('./enhancements.db');
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const jsonFile = path.join(backupDir, `enhancements-export-${timestamp}.json`);
-    
-    db.all('SELECT * FROM enhancements', [], (err, rows) => {
-        if (err) {
-            console.error('Error exporting data:', err);
-            return;
+// PostgREST returns at most 1000 rows per request by default
+const PAGE_SIZE = 1000;
+
+/**
+ * Read every row of a table, page by page
+ * @param {Object} db - Repository
+ * @param {Object} table - Entry of SNAPSHOT_TABLES
+ * @returns {Promise<Object[]|null>} Rows, or null when the table does not exist
+ */
+async function readTable(db, table) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await db
+            .from(table.name)
+            .select('*')
+            .order(table.primaryKey, { ascending: true })
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) {
+            // Table not created yet (its migration has not been applied)
+            if (error.code === '42P01' || error.code === 'PGRST205') {
+                return null;
+            }
+            // Asked for the page after the last row
+            if (error.code === 'PGRST103') {
+                return rows;
+            }
+            throw error;
+        }
+
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) {
+            return rows;
         }
-        
-        fs.writeFileSync(jsonFile, JSON.stringify(rows, null, 2));
-        console.log(`✅ Data exported to JSON: ${jsonFile}`);
-        console.log(`📊 Exported ${rows.length} enhancement requests`);
-        
-        db.close();
-    });
+    }
 }
 
-// Run backup
-console.log('🔄 Starting data backup...');
-backupDatabase();
-exportToJSON();
-console.log('✅ Backup completed!');
+async function backupData() {
+    try {
+        const db = createRepository({ backend, supabaseUrl, supabaseKey, memoryFile });
+        const timestamp = snapshotTimestamp();
+
+        console.log(`🔄 Starting data backup (${backend})...`);
+
+        const counts = {};
+        for (const table of [...SNAPSHOT_TABLES].reverse()) {
+            const rows = await readTable(db, table);
+            if (rows === null) {
+                console.log(`⏭️  ${table.name} does not exist, skipped`);
+                continue;
+            }
+            counts[table.name] = rows.length;
+            writeSnapshotTable(BACKUP_DIR, timestamp, table.name, rows);
+        }
+
+        SNAPSHOT_TABLES
+            .filter(table => table.name in counts)
+            .forEach(table => console.log(`   ${table.name}: ${counts[table.name]} row(s)`));
+        console.log(`✅ Backup ${timestamp} written to ${BACKUP_DIR}`);
+        console.log(`📊 Exported ${counts.enhancements || 0} enhancement requests`);
+    } catch (error) {
+        console.error('❌ Backup failed:', error.message);
+        process.exit(1);
+    }
+}
 
+backupData();
@@ -12,22 +12,45 @@ if (!supabaseUrl || !supabaseKey) {
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
+// By default requests are moved to the Trash (soft delete) so they can still be restored.
+// Pass --permanent to remove every row for good.
+const permanent = process.argv.includes('--permanent');
+
 async function clearTestData() {
     try {
-        console.log('🗑️  Clearing all test data from enhancements table...');
-        
-        // Delete all records from the enhancements table
-        const { error } = await supabase
-            .from('enhancements')
-            .delete()
-            .neq('id', 0); // Delete all records (id is never 0)
-        
-        if (error) {
-            console.error('❌ Error clearing data:', error);
-            return;
+        if (permanent) {
+            console.log('🗑️  Permanently deleting all data from enhancements table...');
+
+            // Delete all records from the enhancements table
+            const { error } = await supabase
+                .from('enhancements')
+                .delete()
+                .neq('id', 0); // Delete all records (id is never 0)
+
+            if (error) {
+                console.error('❌ Error clearing data:', error);
+                return;
+            }
+
+            console.log('✅ All test data permanently deleted');
+        } else {
+            console.log('🗑️  Moving all test data in the enhancements table to the Trash...');
+
+            const { data, error } = await supabase
+                .from('enhancements')
+                .update({ deleted_at: new Date().toISOString() })
+                .is('deleted_at', null)
+                .select('id');
+
+            if (error) {
+                console.error('❌ Error clearing data:', error);
+                return;
+            }
+
+            console.log(`✅ Moved ${data.length} request(s) to the Trash`);
+            console.log('♻️  Restore them from the Trash tab, or re-run with --permanent to delete them for good');
         }
-        
-        console.log('✅ All test data cleared successfully');
+
         console.log('📝 You can now upload new data with the correct enums');
         
     } catch (error) {
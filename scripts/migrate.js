@@ -0,0 +1,157 @@
+// Database migrations for Enhancement Tracker
+// Applies the numbered migrations in database/migrations to the Postgres database at DATABASE_URL
+// (Supabase: Project Settings > Database > Connection string) and records them in schema_migrations.
+//
+// Usage: npm run migrate -- <command>
+//   up [version]   apply every pending migration, or only those up to and including version
+//   down [count]   revert the most recently applied migration, or the last count of them
+//   status         list applied and pending migrations
+const { Client } = require('pg');
+require('dotenv').config({ path: './env.local' });
+const { loadMigrations } = require('../database/migrations');
+
+const databaseUrl = process.env.DATABASE_URL;
+
+if (!databaseUrl) {
+    console.error('❌ Missing DATABASE_URL (the Postgres connection string of the Supabase project)');
+    process.exit(1);
+}
+
+const createMigrationsTableSQL = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+`;
+
+// Advisory lock held while migrating, so two runs (e.g. two deploys) cannot interleave
+const MIGRATION_LOCK_ID = 720145;
+
+/**
+ * Run SQL and record the change in one transaction
+ * @param {Client} client - Connected client
+ * @param {string} sql - Migration SQL (may be empty)
+ * @param {string} recordSql - INSERT or DELETE on schema_migrations
+ * @param {Array} recordParams - Parameters of recordSql
+ */
+async function runInTransaction(client, sql, recordSql, recordParams) {
+    await client.query('BEGIN');
+    try {
+        if (sql.trim() !== '') {
+            await client.query(sql);
+        }
+        await client.query(recordSql, recordParams);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+async function getApplied(client) {
+    const { rows } = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return rows;
+}
+
+async function migrateUp(client, migrations, targetVersion) {
+    if (targetVersion && !migrations.some(migration => migration.version === targetVersion)) {
+        throw new Error(`No migration with version ${targetVersion}`);
+    }
+
+    const applied = new Set((await getApplied(client)).map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version) && (!targetVersion || migration.version <= targetVersion));
+
+    if (pending.length === 0) {
+        console.log('✅ Database is up to date');
+        return;
+    }
+
+    for (const migration of pending) {
+        console.log(`⬆️  Applying ${migration.version}_${migration.name}...`);
+        await runInTransaction(client, migration.up,
+            'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    }
+    console.log(`✅ Applied ${pending.length} migration(s)`);
+}
+
+async function migrateDown(client, migrations, count) {
+    const applied = (await getApplied(client)).reverse().slice(0, count);
+
+    if (applied.length === 0) {
+        console.log('ℹ️  No migrations to revert');
+        return;
+    }
+
+    for (const row of applied) {
+        const migration = migrations.find(candidate => candidate.version === row.version);
+        if (!migration) {
+            throw new Error(`Migration ${row.version}_${row.name} is applied but its file is missing`);
+        }
+        console.log(`⬇️  Reverting ${migration.version}_${migration.name}...`);
+        await runInTransaction(client, migration.down,
+            'DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    console.log(`✅ Reverted ${applied.length} migration(s)`);
+}
+
+async function showStatus(client, migrations) {
+    const applied = await getApplied(client);
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    console.log('📋 Migrations:');
+    migrations.forEach(migration => {
+        const row = appliedByVersion.get(migration.version);
+        console.log(row
+            ? `   ✅ ${migration.version}_${migration.name} (applied ${new Date(row.applied_at).toISOString()})`
+            : `   ⏳ ${migration.version}_${migration.name} (pending)`);
+    });
+    applied
+        .filter(row => !migrations.some(migration => migration.version === row.version))
+        .forEach(row => console.log(`   ⚠️  ${row.version}_${row.name} (applied, but its file is missing)`));
+
+    const pending = migrations.filter(migration => !appliedByVersion.has(migration.version)).length;
+    console.log(pending === 0 ? '✅ Database is up to date' : `⏳ ${pending} pending migration(s) - run: npm run migrate -- up`);
+}
+
+async function migrate() {
+    const [command = 'status', argument] = process.argv.slice(2);
+    if (!['up', 'down', 'status'].includes(command)) {
+        console.error(`❌ Unknown command "${command}". Use up [version], down [count] or status`);
+        process.exit(1);
+    }
+
+    const count = argument === undefined ? 1 : Number(argument);
+    if (command === 'down' && (!Number.isInteger(count) || count < 1)) {
+        console.error('❌ down takes the number of migrations to revert, e.g. down 2');
+        process.exit(1);
+    }
+
+    const migrations = loadMigrations();
+    // Supabase only accepts SSL connections; local Postgres usually has none
+    const client = new Client({
+        connectionString: databaseUrl,
+        ssl: /@(localhost|127\.0\.0\.1)[:/]/.test(databaseUrl) ? false : { rejectUnauthorized: false }
+    });
+
+    try {
+        await client.connect();
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        await client.query(createMigrationsTableSQL);
+
+        if (command === 'up') {
+            await migrateUp(client, migrations, argument);
+        } else if (command === 'down') {
+            await migrateDown(client, migrations, count);
+        } else {
+            await showStatus(client, migrations);
+        }
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await client.end();
+    }
+}
+
+migrate();
@@ -0,0 +1,125 @@
+// Repair request IDs left behind by the old two-step insert (TEMP-/SLACK- placeholders or no ID at all).
+// Each request gets the ID the database would assign today, with the prefix of its area or type.
+//
+// Usage: node scripts/repair-request-ids.js [--dry-run]
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config({ path: './env.local' });
+
+// Supabase configuration - the service role key is needed to update requests
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+    console.error('❌ Missing Supabase configuration');
+    process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Get the next request ID from the database, or the legacy REQ-<row id> when migration 013_request_ids has not been applied
+ * @param {Object} row - Enhancement row
+ * @returns {Promise<string>} Request ID
+ */
+async function nextRequestId(row) {
+    const { data, error } = await supabase.rpc('next_request_id', {
+        p_area: row.area_of_product,
+        p_type: row.type_of_request
+    });
+
+    if (error) {
+        // Function not installed
+        if (error.code === 'PGRST202' || error.code === '42883') {
+            return `REQ-${String(row.id).padStart(6, '0')}`;
+        }
+        throw error;
+    }
+    return data;
+}
+
+async function repairRequestIds() {
+    try {
+        console.log(`🔍 Looking for requests with a placeholder or missing request ID${dryRun ? ' (dry run)' : ''}...`);
+
+        // Requests in the Trash are included so they are fine when restored
+        const { data: rows, error } = await supabase
+            .from('enhancements')
+            .select('id, request_id, request_name, area_of_product, type_of_request')
+            .or('request_id.is.null,request_id.like.TEMP-*,request_id.like.SLACK-*')
+            .order('id', { ascending: true });
+
+        if (error) {
+            console.error('❌ Error loading requests:', error);
+            process.exit(1);
+        }
+
+        if (rows.length === 0) {
+            console.log('✅ Every request has a proper request ID');
+            return;
+        }
+
+        console.log(`📋 Found ${rows.length} request(s) to repair`);
+
+        if (dryRun) {
+            rows.forEach(row => console.log(`   #${row.id} ${row.request_id || '(none)'} - ${row.request_name}`));
+            console.log('ℹ️  Dry run - nothing was changed. Run without --dry-run to assign the IDs.');
+            return;
+        }
+
+        let repaired = 0;
+        let failed = 0;
+
+        for (const row of rows) {
+            try {
+                const requestId = await nextRequestId(row);
+
+                // Only touch the row if nobody fixed it in the meantime
+                let query = supabase
+                    .from('enhancements')
+                    .update({ request_id: requestId })
+                    .eq('id', row.id);
+                query = row.request_id === null ? query.is('request_id', null) : query.eq('request_id', row.request_id);
+                const { data: updated, error: updateError } = await query.select('id');
+
+                if (updateError) {
+                    throw updateError;
+                }
+                if (updated.length === 0) {
+                    console.log(`⏭️  #${row.id} changed since it was loaded, skipped`);
+                    continue;
+                }
+
+                const { error: historyError } = await supabase.from('enhancement_history').insert([{
+                    enhancement_id: row.id,
+                    action: 'update',
+                    field_name: 'request_id',
+                    old_value: row.request_id,
+                    new_value: requestId,
+                    actor_id: null,
+                    actor_name: 'Request ID repair'
+                }]);
+                if (historyError) {
+                    console.error(`⚠️  #${row.id} repaired but its history entry failed:`, historyError.message);
+                }
+
+                console.log(`✅ #${row.id} ${row.request_id || '(none)'} -> ${requestId}`);
+                repaired++;
+            } catch (rowError) {
+                console.error(`❌ #${row.id} ${row.request_id || '(none)'}:`, rowError.message);
+                failed++;
+            }
+        }
+
+        console.log(`📊 Repaired ${repaired} request(s)${failed > 0 ? `, ${failed} failed` : ''}`);
+        if (failed > 0) {
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    }
+}
+
+repairRequestIds();
@@ -0,0 +1,319 @@
+// Restore a backup snapshot (see scripts/backup-data.js) into the Postgres database at DATABASE_URL.
+// Rows keep their IDs and the ID sequences continue after the highest restored ID, so request IDs, links and
+// references in Slack or documents stay valid. The target must be empty apart from the taxonomy and request ID
+// counters seeded by the migrations, which the snapshot replaces - create the schema with npm run migrate -- up first.
+// The restore runs in one transaction: if any row fails, nothing is written.
+//
+// Usage: npm run restore -- [timestamp] [--dry-run]
+//   timestamp   snapshot to restore, e.g. 2025-09-25T11-58-27-109Z (default: the most recent one in backups/)
+//   --dry-run   compare the snapshot with the database and change nothing
+const { Client } = require('pg');
+require('dotenv').config({ path: './env.local' });
+const { BACKUP_DIR, SNAPSHOT_TABLES, listSnapshots, readSnapshot } = require('../database/snapshots');
+
+const databaseUrl = process.env.DATABASE_URL;
+
+if (!databaseUrl) {
+    console.error('❌ Missing DATABASE_URL (the Postgres connection string of the Supabase project)');
+    process.exit(1);
+}
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Same as in migration 013_request_ids
+const restoreRequestIdCounterSQL = `
+INSERT INTO request_id_counters (prefix, last_number)
+SELECT 'REQ', GREATEST(
+    COALESCE((SELECT MAX(SUBSTRING(request_id FROM '^REQ-([0-9]+)$')::INTEGER) FROM enhancements), 0),
+    COALESCE((SELECT MAX(id) FROM enhancements), 0)
+)
+ON CONFLICT (prefix) DO UPDATE SET last_number = GREATEST(request_id_counters.last_number, EXCLUDED.last_number);
+`;
+
+// Rows per INSERT statement
+const INSERT_BATCH_SIZE = 500;
+
+// Rows listed per kind of difference in the diff
+const DIFF_LIST_LIMIT = 10;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Values that older snapshots stored differently, converted when the database has the newer columns
+const LEGACY_ROW_UPGRADES = {
+    // Before migration 019_completed_at, a completed request counted as completed when it was last updated
+    enhancements: (row, databaseColumns) => (
+        databaseColumns.has('completed_at') && row.status === 'complete' && !row.completed_at
+            ? { ...row, completed_at: row.updated_at }
+            : row
+    ),
+    // Before migration 016_release_creator, releases.created_by held the creator's email
+    releases: (row, databaseColumns) => (
+        databaseColumns.has('created_by_name') && row.created_by && !UUID_PATTERN.test(row.created_by)
+            ? { ...row, created_by: null, created_by_name: row.created_by_name || row.created_by }
+            : row
+    )
+};
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+
+/**
+ * @param {string} value - Timestamp, with or without a time zone
+ * @returns {number} Milliseconds since the epoch; a timestamp without a zone is UTC, as the restore inserts it
+ */
+function timestampInstant(value) {
+    const iso = value.replace(' ', 'T');
+    return Date.parse(/(Z|[+-]\d{2}(:?\d{2})?)$/.test(iso) ? iso : `${iso}Z`);
+}
+
+/**
+ * Compare a snapshot value with a database value as both come out of JSON
+ * Timestamps match when they are the same instant (+00:00 from Postgres, Z from the memory backend, no zone in
+ * the first SQLite exports), and the 0/1 flags of those exports match false/true.
+ * @returns {boolean} Whether the values are equal
+ */
+function sameValue(a, b) {
+    if (JSON.stringify(a) === JSON.stringify(b)) {
+        return true;
+    }
+    if (typeof b === 'boolean' && (a === 0 || a === 1)) {
+        return Boolean(a) === b;
+    }
+    return typeof a === 'string' && typeof b === 'string' && TIMESTAMP_PATTERN.test(a) && TIMESTAMP_PATTERN.test(b) &&
+        timestampInstant(a) === timestampInstant(b);
+}
+
+/**
+ * Order rows so that a row referenced through parentColumn comes before the rows referencing it
+ * @param {Object[]} rows - Rows of one table
+ * @param {string} parentColumn - Column referencing the same table
+ * @returns {Object[]} Ordered rows
+ */
+function parentsFirst(rows, parentColumn) {
+    const byId = new Map(rows.map(row => [row.id, row]));
+    const placed = new Set();
+    const ordered = [];
+
+    const place = (row, path) => {
+        if (placed.has(row.id) || path.has(row.id)) {
+            return;
+        }
+        path.add(row.id);
+        const parent = byId.get(row[parentColumn]);
+        if (parent) {
+            place(parent, path);
+        }
+        placed.add(row.id);
+        ordered.push(row);
+    };
+
+    rows.forEach(row => place(row, new Set()));
+    return ordered;
+}
+
+/**
+ * Compare one table of the snapshot with the database
+ * @param {Client} client - Connected client
+ * @param {Object} table - Entry of SNAPSHOT_TABLES
+ * @param {Object[]} rows - Snapshot rows
+ * @param {Set<string>|null} userIds - Users of the project, or null when there is no auth schema
+ * @returns {Promise<Object>} Plan of { table, rows, columns, dropped, skipped, added, unchanged, changed, removed, existing }
+ */
+async function planTable(client, table, rows, userIds) {
+    const { rows: columnRows } = await client.query(
+        "SELECT column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name = $1",
+        [table.name]
+    );
+    if (columnRows.length === 0) {
+        throw new Error(`Table ${table.name} does not exist - run: npm run migrate -- up`);
+    }
+
+    const databaseColumns = new Set(columnRows.map(row => row.column_name));
+    const upgrade = LEGACY_ROW_UPGRADES[table.name];
+    if (upgrade) {
+        rows = rows.map(row => upgrade(row, databaseColumns));
+    }
+
+    // Columns the schema no longer has (impact_level of the first exports) have nowhere to go, so they are left out
+    const snapshotColumns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const columns = snapshotColumns.filter(column => databaseColumns.has(column));
+    const dropped = snapshotColumns.filter(column => !databaseColumns.has(column));
+    if (dropped.length > 0) {
+        rows = rows.map(row => Object.fromEntries(Object.entries(row).filter(([column]) => databaseColumns.has(column))));
+    }
+
+    // Users who do not exist in this project cannot be restored (user_id references auth.users)
+    let skipped = [];
+    if (table.userColumn && userIds) {
+        skipped = rows.filter(row => !userIds.has(row[table.userColumn]));
+        rows = rows.filter(row => userIds.has(row[table.userColumn]));
+    }
+
+    const { rows: existingRows } = await client.query(`SELECT row_to_json(t) AS row FROM ${table.name} t`);
+    const existing = new Map(existingRows.map(({ row }) => [String(row[table.primaryKey]), row]));
+
+    const added = [];
+    const unchanged = [];
+    const changed = [];
+    rows.forEach(row => {
+        const current = existing.get(String(row[table.primaryKey]));
+        if (!current) {
+            added.push(row);
+            return;
+        }
+        const differing = Object.keys(row).filter(column => !sameValue(row[column], current[column]));
+        if (differing.length === 0) {
+            unchanged.push(row);
+        } else {
+            changed.push({ row, columns: differing });
+        }
+    });
+    const snapshotKeys = new Set(rows.map(row => String(row[table.primaryKey])));
+    const removed = [...existing.keys()].filter(key => !snapshotKeys.has(key));
+
+    return { table, rows, columns, dropped, skipped, added, unchanged, changed, removed, existing: existing.size };
+}
+
+/**
+ * Print the difference between the snapshot and the database for one table
+ * @param {Object} plan - Result of planTable
+ */
+function printPlan(plan) {
+    const { table, dropped, skipped, added, unchanged, changed, removed } = plan;
+    const list = keys => keys.slice(0, DIFF_LIST_LIMIT).join(', ') + (keys.length > DIFF_LIST_LIMIT ? `, ... (${keys.length - DIFF_LIST_LIMIT} more)` : '');
+
+    console.log(`📋 ${table.name}: ${plan.rows.length + skipped.length} in snapshot, ${plan.existing} in database${table.seeded && plan.existing > 0 ? ' (replaced by the snapshot)' : ''}`);
+    if (added.length > 0) {
+        console.log(`   + ${added.length} only in snapshot: ${list(added.map(row => row[table.primaryKey]))}`);
+    }
+    if (changed.length > 0) {
+        console.log(`   ~ ${changed.length} differ:`);
+        changed.slice(0, DIFF_LIST_LIMIT).forEach(({ row, columns }) => console.log(`       ${row[table.primaryKey]}: ${columns.join(', ')}`));
+        if (changed.length > DIFF_LIST_LIMIT) {
+            console.log(`       ... (${changed.length - DIFF_LIST_LIMIT} more)`);
+        }
+    }
+    if (unchanged.length > 0) {
+        console.log(`   = ${unchanged.length} identical`);
+    }
+    if (removed.length > 0) {
+        console.log(`   - ${removed.length} only in database: ${list(removed)}`);
+    }
+    if (dropped.length > 0) {
+        console.log(`   ⚠️  Columns the database does not have, left out: ${dropped.join(', ')}`);
+    }
+    if (skipped.length > 0) {
+        console.log(`   ⚠️  ${skipped.length} skipped, their users do not exist in this project: ${list(skipped.map(row => row[table.userColumn]))}`);
+    }
+}
+
+/**
+ * Insert the snapshot rows of one table with their IDs
+ * @param {Client} client - Connected client
+ * @param {Object} plan - Result of planTable
+ */
+async function restoreTable(client, plan) {
+    const { table, columns } = plan;
+    const rows = table.parentColumn ? parentsFirst(plan.rows, table.parentColumn) : plan.rows;
+
+    if (table.seeded) {
+        await client.query(`DELETE FROM ${table.name}`);
+    }
+
+    for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+        const params = [];
+        const values = rows.slice(start, start + INSERT_BATCH_SIZE).map(row => `(${columns.map(column => {
+            // A column missing from an older snapshot gets its default
+            if (!(column in row)) {
+                return 'DEFAULT';
+            }
+            params.push(row[column]);
+            return `$${params.length}`;
+        }).join(', ')})`);
+
+        await client.query(`INSERT INTO ${table.name} (${columns.join(', ')}) VALUES ${values.join(', ')}`, params);
+    }
+
+    // New rows continue after the restored IDs
+    if (table.serial) {
+        await client.query(
+            `SELECT setval(pg_get_serial_sequence($1, 'id'), COALESCE(MAX(id), 1), MAX(id) IS NOT NULL) FROM ${table.name}`,
+            [table.name]
+        );
+    }
+}
+
+async function restoreData() {
+    const requested = process.argv.slice(2).find(argument => !argument.startsWith('--'));
+    const snapshots = listSnapshots(BACKUP_DIR);
+    const timestamp = requested || snapshots[snapshots.length - 1];
+
+    if (!timestamp) {
+        console.error(`❌ No backups found in ${BACKUP_DIR} - create one with: npm run backup`);
+        process.exit(1);
+    }
+    if (!snapshots.includes(timestamp)) {
+        console.error(`❌ No backup ${timestamp} in ${BACKUP_DIR}. Available: ${snapshots.join(', ') || 'none'}`);
+        process.exit(1);
+    }
+
+    // Supabase only accepts SSL connections; local Postgres usually has none
+    const client = new Client({
+        connectionString: databaseUrl,
+        ssl: /@(localhost|127\.0\.0\.1)[:/]/.test(databaseUrl) ? false : { rejectUnauthorized: false }
+    });
+
+    try {
+        const snapshot = readSnapshot(BACKUP_DIR, timestamp);
+        console.log(`🔄 ${dryRun ? 'Comparing' : 'Restoring'} backup ${timestamp}${dryRun ? ' with the database (dry run)' : ''}...`);
+
+        await client.connect();
+        await client.query('BEGIN');
+        // Timestamps come out of row_to_json the way PostgREST wrote them into the snapshot
+        await client.query("SET LOCAL TIME ZONE 'UTC'");
+
+        const { rows: [{ has_auth: hasAuth }] } = await client.query("SELECT to_regclass('auth.users') IS NOT NULL AS has_auth");
+        const userIds = hasAuth
+            ? new Set((await client.query('SELECT id::text AS id FROM auth.users')).rows.map(row => row.id))
+            : null;
+
+        const plans = [];
+        for (const table of SNAPSHOT_TABLES) {
+            if (snapshot[table.name]) {
+                plans.push(await planTable(client, table, snapshot[table.name], userIds));
+            }
+        }
+        plans.forEach(printPlan);
+
+        const blocking = plans.filter(plan => !plan.table.seeded && plan.existing > 0);
+        if (dryRun) {
+            await client.query('ROLLBACK');
+            console.log(blocking.length === 0
+                ? `ℹ️  Dry run - nothing was changed. Run without --dry-run to restore ${timestamp}.`
+                : `ℹ️  Dry run - nothing was changed. A restore needs empty tables, but these have rows: ${blocking.map(plan => plan.table.name).join(', ')}`);
+            return;
+        }
+        if (blocking.length > 0) {
+            throw new Error(`A restore needs empty tables, but these have rows: ${blocking.map(plan => plan.table.name).join(', ')}`);
+        }
+
+        for (const plan of plans) {
+            await restoreTable(client, plan);
+        }
+        // A snapshot without counters (an old enhancements-only export) still must not hand out its REQ- numbers again
+        if (snapshot.enhancements && !snapshot.request_id_counters) {
+            await client.query(restoreRequestIdCounterSQL);
+        }
+        await client.query('COMMIT');
+
+        const skipped = plans.reduce((total, plan) => total + plan.skipped.length, 0);
+        console.log(`✅ Restored ${plans.reduce((total, plan) => total + plan.rows.length, 0)} row(s) from ${timestamp}${skipped > 0 ? `, skipped ${skipped}` : ''}`);
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        console.error('❌ Restore failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await client.end();
+    }
+}
+
+restoreData();
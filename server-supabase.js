@@ -1,5 +1,4 @@
 const express = require('express');
-const { createClient } = require('@supabase/supabase-js');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const helmet = require('helmet');
@@ -10,6 +9,17 @@ const csv = require('csv-parser');
 const fs = require('fs');
 const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
+const {
+    ENHANCEMENT_FIELDS,
+    isValidDateString,
+    buildEnhancementSchema,
+    validateEnhancement,
+    toColumns,
+    fromRow,
+    fromCsvRow,
+    fromJsonRecord
+} = require('./validation/enhancement-schema');
+const { STORAGE_BACKENDS, createRepository } = require('./database/repository');
 
 // Load environment variables (only in development)
 if (process.env.NODE_ENV !== 'production') {
@@ -25,6 +35,9 @@ const PORT = process.env.PORT || 3000;
 // Trust proxy - required for Vercel and rate limiting
 app.set('trust proxy', 1);
 
+// Storage backend: supabase (default) or memory for offline development and tests (see database/repository.js)
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'supabase';
+
 // Supabase configuration
 const supabaseUrl = process.env.SUPABASE_URL || 'https://your-project-id.supabase.co';
 // Use the high-privilege Service Role Key for server operations.
@@ -41,81 +54,435 @@ console.log('SUPABASE_SERVICE_ROLE_KEY:', process.env.SUPABASE_SERVICE_ROLE_KEY
 // Removed old SUPABASE_KEY log for clarity.
 console.log('Final client key (Service/Anon):', clientKey ? 'SET' : 'NOT SET');
 console.log('All env vars:', Object.keys(process.env).filter(key => key.includes('SUPABASE')));
+console.log('STORAGE_BACKEND:', STORAGE_BACKEND, STORAGE_BACKENDS.includes(STORAGE_BACKEND) ? '' : `(must be one of: ${STORAGE_BACKENDS.join(', ')})`);
+
+// The memory backend takes any email address as a valid token, so it must never serve real users
+if (STORAGE_BACKEND === 'memory' && process.env.NODE_ENV === 'production') {
+    console.error('❌ STORAGE_BACKEND=memory is for development and tests only: it signs in any email address without a password. Refusing to start with NODE_ENV=production.');
+    process.exit(1);
+}
 
-// Add this helper function near the top of your server-supabase.js file
-// Place it after your imports and before your route definitions
+// Taxonomy
+// Allowed values of the enumerated request fields. Admins manage them in the taxonomy_values table
+// (see database/migrations/012_create_taxonomy.js); every validator and dropdown reads them from here.
+
+// idPrefix: values can carry their own request ID prefix (see database/migrations/013_request_ids.js)
+const TAXONOMY_CATEGORIES = {
+    typeOfRequest: { label: 'Type of Request', column: 'type_of_request', idPrefix: true },
+    areaOfProduct: { label: 'Area of Product', column: 'area_of_product', idPrefix: true },
+    desireLevel: { label: 'Desire Level', column: 'desire_level' },
+    difficultyLevel: { label: 'Difficulty Level', column: 'difficulty_level' },
+    priorityLevel: { label: 'Priority Level', column: 'priority_level' },
+    // Stored as a comma-separated list, so values cannot contain commas
+    whoBenefits: { label: 'Who Benefits', column: 'who_benefits', multiple: true }
+};
+
+// Built-in values (the seed data of the taxonomy migration), used until the taxonomy_values table exists
+const DEFAULT_TAXONOMY = {
+    typeOfRequest: { values: ['Bug Fix', 'New Feature', 'Enhancement (UI)', 'Enhancement (Feature)'], defaultValue: 'Enhancement (Feature)' },
+    areaOfProduct: { values: ['Buyer Portal', 'Supplier Hub', 'Procurement', 'Guides', 'Documentation'], defaultValue: 'Buyer Portal' },
+    desireLevel: { values: ['Must-have', 'Nice-to-have'], defaultValue: 'Nice-to-have' },
+    difficultyLevel: { values: ['Simple', 'Complex', 'Involved'], defaultValue: null },
+    priorityLevel: { values: ['Critical', 'High', 'Medium', 'Low'], defaultValue: 'Medium' },
+    whoBenefits: { values: ['Clients - procurement', 'Clients - end users', 'Suppliers', 'Internal'], defaultValue: 'Internal' }
+};
 
 /**
- * Process and validate the "Who Benefits" field for CSV import
- * @param {string} whoBenefitsValue - Raw value from CSV
- * @param {number} rowNum - Row number for error reporting
- * @returns {Object} { isValid: boolean, value: string, error: string }
+ * Rows of the built-in taxonomy, as seeded by the taxonomy migration
+ * @returns {Object[]} Rows of { category, value, sort_order, active, is_default }
  */
-function processWhoBenefitsField(whoBenefitsValue, rowNum = 0) {
-    const validValues = ['Clients - procurement', 'Clients - end users', 'Suppliers', 'Internal'];
-    
-    if (!whoBenefitsValue || whoBenefitsValue.trim() === '') {
-        return {
-            isValid: false,
-            value: '',
-            error: 'Who Benefits field is required'
+function defaultTaxonomyRows() {
+    return Object.entries(DEFAULT_TAXONOMY).flatMap(([category, { values, defaultValue }]) =>
+        values.map((value, index) => ({
+            category, value, sort_order: index + 1, active: true, is_default: value === defaultValue
+        })));
+}
+
+// Each server instance re-reads the table at most this often; admin changes clear the cache at once
+const TAXONOMY_CACHE_MS = 60 * 1000;
+let taxonomyCache = null;
+
+/**
+ * Load every taxonomy row (active and inactive) in display order, cached for TAXONOMY_CACHE_MS
+ * @returns {Promise<Object[]>} Rows of { id, category, value, sort_order, active, is_default }
+ */
+async function loadTaxonomyRows() {
+    if (taxonomyCache && Date.now() - taxonomyCache.loadedAt < TAXONOMY_CACHE_MS) {
+        return taxonomyCache.rows;
+    }
+
+    const { data, error } = await db
+        .from('taxonomy_values')
+        .select('*')
+        .order('sort_order', { ascending: true })
+        .order('id', { ascending: true });
+
+    let rows = data || [];
+    if (error) {
+        // Table not created yet - keep working with the built-in values
+        if (error.code !== '42P01' && error.code !== 'PGRST205') {
+            throw error;
+        }
+        console.warn('⚠️ taxonomy_values table not found, using the built-in values. Run "npm run migrate -- up" to manage them.');
+        rows = defaultTaxonomyRows().map(row => ({ id: null, ...row }));
+    }
+
+    taxonomyCache = { rows, loadedAt: Date.now() };
+    return rows;
+}
+
+function invalidateTaxonomyCache() {
+    taxonomyCache = null;
+}
+
+/**
+ * Get the active values and the default value of every taxonomy category
+ * @returns {Promise<Object>} category -> { values: string[], defaultValue: string|null }
+ */
+async function getTaxonomy() {
+    const rows = await loadTaxonomyRows();
+    const taxonomy = {};
+    Object.keys(TAXONOMY_CATEGORIES).forEach(category => {
+        const active = rows.filter(row => row.category === category && row.active);
+        const flagged = active.find(row => row.is_default);
+        taxonomy[category] = {
+            values: active.map(row => row.value),
+            defaultValue: flagged ? flagged.value : null
         };
+    });
+    return taxonomy;
+}
+
+/**
+ * Build the validation schema with the current taxonomy values
+ * @returns {Promise<Object>} Result of buildEnhancementSchema()
+ */
+async function getEnhancementSchema() {
+    return buildEnhancementSchema(await getTaxonomy());
+}
+
+// Columns that GET /api/enhancements can sort by (frontend field name -> database column)
+const ENHANCEMENT_SORT_COLUMNS = {
+    id: 'id',
+    requestId: 'request_id',
+    requestName: 'request_name',
+    requestorName: 'requestor_name',
+    dateOfRequest: 'date_of_request',
+    stakeholder: 'stakeholder',
+    typeOfRequest: 'type_of_request',
+    areaOfProduct: 'area_of_product',
+    desireLevel: 'desire_level',
+    effortLevel: 'effort_level',
+    difficultyLevel: 'difficulty_level',
+    whoBenefits: 'who_benefits',
+    status: 'status',
+    priorityLevel: 'priority_level',
+    timeline: 'timeline',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+};
+
+// Largest page a client may request from GET /api/enhancements
+const MAX_PAGE_SIZE = 100;
+
+// Days a soft-deleted enhancement stays in the Trash before an admin can purge it
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) >= 0
+    ? parseInt(process.env.TRASH_RETENTION_DAYS, 10)
+    : 30;
+
+/**
+ * Transform a database enhancement row into the camelCase format used by the frontend
+ * @param {Object} enhancement - Row from the enhancements table
+ * @returns {Object} Frontend-formatted enhancement
+ */
+function transformEnhancement(enhancement) {
+    return {
+        id: enhancement.id,
+        requestId: enhancement.request_id,
+        requestName: enhancement.request_name,
+        requestDescription: enhancement.request_description,
+        rationale: enhancement.rationale,
+        requestorName: enhancement.requestor_name,
+        dateOfRequest: enhancement.date_of_request,
+        stakeholder: enhancement.stakeholder,
+        typeOfRequest: enhancement.type_of_request,
+        areaOfProduct: enhancement.area_of_product,
+        linkToDocument: enhancement.link_to_document,
+        desireLevel: enhancement.desire_level,
+        effortLevel: enhancement.effort_level != null ? parseFloat(enhancement.effort_level) : null,
+        difficultyLevel: enhancement.difficulty_level,
+        whoBenefits: enhancement.who_benefits,
+        status: enhancement.status,
+        priorityLevel: enhancement.priority_level,
+        acceptedDeniedReason: enhancement.accepted_denied_reason,
+        timeline: enhancement.timeline,
+        documentationUpdated: enhancement.documentation_updated,
+        storylanesUpdated: enhancement.storylanes_updated,
+        releaseNotes: enhancement.release_notes,
+        internalOnly: enhancement.internal_only,
+        createdBy: enhancement.created_by,
+        createdAt: enhancement.created_at,
+        updatedAt: enhancement.updated_at,
+        deletedAt: enhancement.deleted_at,
+        deletedBy: enhancement.deleted_by,
+        mergedInto: enhancement.merged_into,
+        releaseId: enhancement.release_id,
+        version: enhancement.version
+    };
+}
+
+// Optimistic concurrency
+
+/**
+ * Build the ETag for an enhancement row from its version counter
+ * @param {Object} row - Database row
+ * @returns {string|null} Quoted ETag, or null if the version column has not been added yet
+ */
+function enhancementETag(row) {
+    return row && row.version != null ? `"${row.version}"` : null;
+}
+
+/**
+ * Read the expected version from an If-Match header
+ * @param {Object} req - Express request
+ * @returns {Object} { version, error } - version is null when the header is absent or "*"
+ */
+function parseIfMatch(req) {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') {
+        return { version: null, error: null };
+    }
+
+    const match = header.trim().match(/^(?:W\/)?"(\d+)"$/);
+    if (!match) {
+        return { version: null, error: `Invalid If-Match header "${header}". Use the ETag returned by GET /api/enhancements/:id` };
+    }
+    return { version: parseInt(match[1], 10), error: null };
+}
+
+/**
+ * Build the 409 body returned when an update was based on an outdated copy
+ * @param {Object} current - Current database row
+ * @param {number} expectedVersion - Version the client sent in If-Match
+ * @returns {Object} Response body including the current server copy
+ */
+function buildVersionConflict(current, expectedVersion) {
+    return {
+        error: 'Conflict',
+        code: 'VERSION_CONFLICT',
+        message: 'This request was changed by someone else after you opened it. Review the current version and try again.',
+        expectedVersion,
+        currentVersion: current.version,
+        etag: enhancementETag(current),
+        current: transformEnhancement(current)
+    };
+}
+
+/**
+ * Split a query string parameter into a list of values.
+ * Accepts repeated parameters (?status=a&status=b) and comma-separated values (?status=a,b)
+ * @param {string|string[]} value - Raw value from req.query
+ * @returns {string[]} Non-empty, trimmed values
+ */
+function parseListParam(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim())
+        .filter(v => v !== '');
+}
+
+/**
+ * Remove characters that would break a PostgREST filter expression (used in .or() strings)
+ * @param {string} value - User-supplied search term
+ * @returns {string} Sanitized term
+ */
+function sanitizeFilterValue(value) {
+    return String(value).replace(/[,()\\]/g, ' ').trim();
+}
+
+/**
+ * Parse the optional page/pageSize query parameters
+ * @param {Object} params - req.query
+ * @returns {Object} { range, error } - range is { from, to } (inclusive), or null when not paginating
+ */
+function parsePagination(params) {
+    const { page, pageSize } = params;
+    if (page === undefined && pageSize === undefined) {
+        return { range: null, error: null };
+    }
+
+    const pageNumber = parseInt(page || '1', 10);
+    const size = parseInt(pageSize || '10', 10);
+    if (isNaN(pageNumber) || pageNumber < 1 || isNaN(size) || size < 1 || size > MAX_PAGE_SIZE) {
+        return { range: null, error: `page must be 1 or greater and pageSize must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+
+    const from = (pageNumber - 1) * size;
+    return { range: { from, to: from + size - 1 }, error: null };
+}
+
+/**
+ * Apply the filters supported by GET /api/enhancements to a repository query
+ * @param {Object} query - Query builder for the enhancements table
+ * @param {Object} params - req.query
+ * @returns {Object} { query, error } - error is a message for invalid parameters
+ */
+function applyEnhancementFilters(query, params) {
+    const {
+        search, requestId, requestor, whoBenefits,
+        dateFrom, dateTo, createdFrom, createdTo
+    } = params;
+
+    // Multi-value exact match filters
+    const listFilters = {
+        ids: 'id',
+        status: 'status',
+        priority: 'priority_level',
+        area: 'area_of_product',
+        type: 'type_of_request',
+        desire: 'desire_level',
+        difficulty: 'difficulty_level'
+    };
+
+    for (const [param, column] of Object.entries(listFilters)) {
+        const values = parseListParam(params[param]);
+        if (values.length === 0) {
+            continue;
+        }
+        if (param === 'ids' && values.some(v => !/^\d+$/.test(v))) {
+            return { query, error: 'ids must be a comma-separated list of numeric IDs' };
+        }
+        query = values.length === 1 ? query.eq(column, values[0]) : query.in(column, values);
+    }
+
+    if (search) {
+        const term = sanitizeFilterValue(search);
+        if (term) {
+            query = query.or([
+                'request_name', 'request_description', 'requestor_name',
+                'rationale', 'stakeholder', 'request_id'
+            ].map(column => `${column}.ilike.%${term}%`).join(','));
+        }
     }
-    
-    let value = whoBenefitsValue.trim();
-    console.log(`Processing Who Benefits for row ${rowNum}: "${value}"`);
-    
-    // Remove outer quotes if present (CSV formatting)
-    if (value.startsWith('"') && value.endsWith('"')) {
-        value = value.slice(1, -1);
-        console.log(`Removed quotes: "${value}"`);
-    }
-    
-    // Split by comma and clean each value
-    const values = value.split(',').map(v => v.trim()).filter(v => v !== '');
-    console.log(`Split values:`, values);
-    
-    // Check for invalid values
-    const invalidValues = values.filter(v => !validValues.includes(v));
-    if (invalidValues.length > 0) {
+
+    if (requestId) {
+        query = query.ilike('request_id', `%${String(requestId).trim()}%`);
+    }
+
+    if (requestor) {
+        query = query.ilike('requestor_name', `%${String(requestor).trim()}%`);
+    }
+
+    // who_benefits is stored as a comma-separated list, so match any row containing the value
+    if (whoBenefits) {
+        query = query.ilike('who_benefits', `%${String(whoBenefits).trim()}%`);
+    }
+
+    // Date range filters (YYYY-MM-DD)
+    const dateRanges = [
+        [dateFrom, 'date_of_request', 'gte'],
+        [dateTo, 'date_of_request', 'lte'],
+        [createdFrom, 'created_at', 'gte'],
+        [createdTo, 'created_at', 'lte']
+    ];
+    for (const [value, column, operator] of dateRanges) {
+        if (!value) {
+            continue;
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+            return { query, error: `Invalid date "${value}". Dates must be in YYYY-MM-DD format` };
+        }
+        // Include the whole day when filtering the created_at timestamp
+        const bound = column === 'created_at' && operator === 'lte' ? `${value}T23:59:59.999Z` : value;
+        query = query[operator](column, bound);
+    }
+
+    return { query, error: null };
+}
+
+// Workflow state machine: status -> statuses it may move to next
+const STATUS_TRANSITIONS = {
+    submitted: ['review', 'rejected'],
+    review: ['approved', 'rejected', 'submitted'],
+    approved: ['development', 'review', 'rejected'],
+    development: ['testing', 'approved'],
+    testing: ['complete', 'development'],
+    complete: ['testing'],
+    rejected: ['review']
+};
+
+// Moving into these statuses requires an accepted_denied_reason
+const REASON_REQUIRED_STATUSES = ['approved', 'rejected'];
+
+/**
+ * Check a status change against the workflow state machine
+ * @param {string} currentStatus - Status currently stored for the enhancement
+ * @param {string} nextStatus - Requested status
+ * @param {string} reason - accepted_denied_reason that will be stored with the change
+ * @returns {Object|null} null when the change is allowed, otherwise { httpStatus, body } describing the error
+ */
+function validateStatusTransition(currentStatus, nextStatus, reason) {
+    if (!Object.prototype.hasOwnProperty.call(STATUS_TRANSITIONS, nextStatus)) {
         return {
-            isValid: false,
-            value: '',
-            error: `Invalid Who Benefits values: ${invalidValues.join(', ')}. Must be one or more of: ${validValues.join(', ')}`
+            httpStatus: 422,
+            body: {
+                error: 'Invalid status',
+                code: 'INVALID_STATUS',
+                message: `"${nextStatus}" is not a valid status. Must be one of: ${Object.keys(STATUS_TRANSITIONS).join(', ')}`,
+                requestedStatus: nextStatus
+            }
         };
     }
-    
-    if (values.length === 0) {
+
+    if (currentStatus === nextStatus) {
+        return null;
+    }
+
+    // Rows with a missing or legacy status may be moved anywhere so they can be brought back into the workflow
+    const allowedStatuses = STATUS_TRANSITIONS[currentStatus];
+    if (allowedStatuses && !allowedStatuses.includes(nextStatus)) {
         return {
-            isValid: false,
-            value: '',
-            error: 'At least one Who Benefits value must be specified'
+            httpStatus: 409,
+            body: {
+                error: 'Illegal status transition',
+                code: 'ILLEGAL_STATUS_TRANSITION',
+                message: `Cannot move from "${currentStatus}" to "${nextStatus}". Allowed next statuses: ${allowedStatuses.join(', ') || 'none'}`,
+                currentStatus,
+                requestedStatus: nextStatus,
+                allowedStatuses
+            }
         };
     }
-    
-    // Format for database (consistent spacing)
-    const formattedValue = values.join(', ');
-    console.log(`Final formatted Who Benefits value: "${formattedValue}"`);
-    
-    // Test against database regex pattern
-    const regex = /^(Clients - procurement|Clients - end users|Suppliers|Internal)(,\s*(Clients - procurement|Clients - end users|Suppliers|Internal))*$/;
-    if (!regex.test(formattedValue)) {
+
+    if (REASON_REQUIRED_STATUSES.includes(nextStatus) && (!reason || String(reason).trim() === '')) {
         return {
-            isValid: false,
-            value: '',
-            error: `Who Benefits format doesn't match database constraint: "${formattedValue}"`
+            httpStatus: 422,
+            body: {
+                error: 'Reason required',
+                code: 'REASON_REQUIRED',
+                message: `An accepted/denied reason is required to move a request to "${nextStatus}"`,
+                currentStatus,
+                requestedStatus: nextStatus
+            }
         };
     }
-    
-    return {
-        isValid: true,
-        value: formattedValue,
-        error: null
-    };
+
+    return null;
 }
 
-// Initialize Supabase client with the Service Role Key (if set) for server ops
-const supabase = createClient(supabaseUrl, clientKey);
+// All data access goes through the repository: the Supabase project (with the Service Role Key, if set)
+// or the in-memory backend, which starts with the built-in taxonomy values
+const db = createRepository({
+    backend: STORAGE_BACKEND,
+    supabaseUrl,
+    supabaseKey: clientKey,
+    memoryFile: process.env.MEMORY_DB_FILE || null,
+    seed: { taxonomy_values: defaultTaxonomyRows() }
+});
 
 // Configure multer for file uploads (using memory storage for Vercel)
 const upload = multer({
@@ -149,8 +516,9 @@ app.use(cors({
         return callback(null, true);
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+    exposedHeaders: ['X-Total-Count', 'ETag']
 }));
 
 // Slack webhook middleware MUST come before global body parsers
@@ -162,6 +530,9 @@ app.use('/api/slack/*', bodyParser.urlencoded({
     }
 }));
 
+// JSON imports carry whole exports, so they get the same 5MB limit as CSV uploads
+app.use('/api/enhancements/import-json', bodyParser.json({ limit: '5mb' }));
+
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.static('public'));
@@ -174,6 +545,8 @@ const apiLimiter = rateLimit({
     message: 'Too many requests from this IP, please try again later.',
     standardHeaders: true,
     legacyHeaders: false,
+    // Import jobs are limited by importJobLimiter (the path is relative to /api/ where this is mounted)
+    skip: (req) => req.path.startsWith('/import-jobs/'),
 });
 
 // Strict rate limiter for authentication endpoints - 5 attempts per 15 minutes
@@ -203,21 +576,34 @@ const slackLimiter = rateLimit({
     legacyHeaders: false,
 });
 
-// Apply general rate limiter to all API routes
+// Rate limiter for import jobs - 600 requests per 15 minutes
+// A client calls POST /api/import-jobs/:id/continue once per 25 rows, so a large import would use up apiLimiter
+const importJobLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 600,
+    message: 'Too many import job requests from this IP, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Apply general rate limiter to all API routes except the import jobs, which have their own
+app.use('/api/import-jobs', importJobLimiter);
 app.use('/api/', apiLimiter);
 
-// Test Supabase connection
-async function testSupabaseConnection() {
+// Test the database connection
+async function testDatabaseConnection() {
     try {
-        const { data, error } = await supabase.from('enhancements').select('count').limit(1);
+        const { error } = await db.from('enhancements').select('id').limit(1);
         if (error) {
-            console.error('❌ Supabase connection failed:', error.message);
+            console.error(`❌ ${STORAGE_BACKEND} database connection failed:`, error.message);
             return false;
         }
-        console.log('✅ Connected to Supabase database');
+        console.log(STORAGE_BACKEND === 'memory'
+            ? `✅ Using the in-memory database${process.env.MEMORY_DB_FILE ? ` (saved to ${process.env.MEMORY_DB_FILE})` : ' (data is lost on restart)'}`
+            : '✅ Connected to Supabase database');
         return true;
     } catch (err) {
-        console.error('❌ Supabase connection error:', err.message);
+        console.error(`❌ ${STORAGE_BACKEND} database connection error:`, err.message);
         return false;
     }
 }
@@ -237,7 +623,8 @@ async function authMiddleware(req, res, next) {
     try {
         // Use the Supabase Service Role client to verify the JWT token
         // The token verification internally checks validity, expiry, and signature
-        const { data: { user }, error } = await supabase.auth.getUser(token);
+        // (the memory backend takes the user's email address as the token instead)
+        const { data: { user }, error } = await db.auth.getUser(token);
 
         if (error || !user) {
             console.log('❌ Token validation failed:', error?.message || 'No user found.');
@@ -311,156 +698,675 @@ async function enforceMfaMiddleware(req, res, next) {
     }
 }
 
+// Role-Based Access Control
 
-// MFA Management Endpoints
-
-// Check MFA status for the authenticated user
-app.get('/api/mfa/status', mfaLimiter, authMiddleware, async (req, res) => {
-    try {
-        const userId = req.user.id;
+// Roles in ascending order of privilege - each role has every permission of the roles before it
+const ROLES = ['viewer', 'submitter', 'triager', 'admin'];
 
-        // Use REST API to list factors
-        const response = await fetch(`${supabaseUrl}/auth/v1/admin/users/${userId}/factors`, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${clientKey}`,
-                'apikey': clientKey,
-                'Content-Type': 'application/json'
-            }
-        });
+const ROLE_PERMISSIONS = {
+    viewer: ['enhancement:read', 'workflow:read', 'mfa:manage', 'enhancement:vote'],
+    submitter: ['enhancement:create', 'enhancement:update:own', 'comment:create'],
+    triager: ['enhancement:update:any', 'enhancement:triage', 'enhancement:merge', 'release:manage'],
+    admin: ['enhancement:delete', 'enhancement:purge', 'enhancement:import', 'roles:manage', 'comment:moderate', 'taxonomy:manage']
+};
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('Failed to list factors:', errorText);
-            throw new Error(`Failed to list factors: ${response.status}`);
-        }
+// Role given to authenticated users without a row in user_roles
+const DEFAULT_USER_ROLE = ROLES.includes(process.env.DEFAULT_USER_ROLE) ? process.env.DEFAULT_USER_ROLE : 'submitter';
 
-        const data = await response.json();
-        console.log('MFA Factors for user:', userId, data);
+/**
+ * List every permission granted to a role (including those inherited from lower roles)
+ * @param {string} role - One of ROLES
+ * @returns {string[]} Permissions
+ */
+function getRolePermissions(role) {
+    const index = ROLES.indexOf(role);
+    if (index === -1) {
+        return [];
+    }
+    return ROLES.slice(0, index + 1).flatMap(r => ROLE_PERMISSIONS[r]);
+}
 
-        // Check if user has any verified TOTP factors
-        const verifiedFactor = data?.factors?.find(f => f.factor_type === 'totp' && f.status === 'verified');
+/**
+ * Check whether the authenticated request has a permission (requires loadUserRole to have run)
+ * @param {Object} req - Express request
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+function hasPermission(req, permission) {
+    return Array.isArray(req.permissions) && req.permissions.includes(permission);
+}
 
-        res.json({
-            success: true,
-            mfaEnabled: !!verifiedFactor,
-            factorId: verifiedFactor?.id || null,
-            friendlyName: verifiedFactor?.friendly_name || null
-        });
-    } catch (error) {
-        console.error('MFA Status Check Error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to check MFA status',
-            details: error.message
-        });
+/**
+ * Load the role of the authenticated user into req.role and req.permissions
+ * @param {Object} req - Express request (req.user is set by authMiddleware)
+ * @returns {Promise<string>} The user's role
+ */
+async function loadUserRole(req) {
+    if (req.role) {
+        return req.role;
     }
-});
 
-// Start MFA enrollment process
-// NOTE: MFA enrollment must be done client-side by the user, not server-side
-// This endpoint just validates the user is authenticated
-app.post('/api/mfa/enroll', mfaLimiter, authMiddleware, async (req, res) => {
-    try {
-        const userId = req.user.id;
+    const { data, error } = await db
+        .from('user_roles')
+        .select('role')
+        .eq('user_id', req.user.id)
+        .maybeSingle();
 
-        // Check if user already has a verified factor
-        const listResponse = await fetch(`${supabaseUrl}/auth/v1/admin/users/${userId}/factors`, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${clientKey}`,
-                'apikey': clientKey,
-                'Content-Type': 'application/json'
-            }
-        });
+    if (error) {
+        throw error;
+    }
 
-        if (listResponse.ok) {
-            const existingFactors = await listResponse.json();
-            const hasVerifiedFactor = existingFactors?.factors?.some(f => f.factor_type === 'totp' && f.status === 'verified');
+    req.role = data && ROLES.includes(data.role) ? data.role : DEFAULT_USER_ROLE;
+    req.permissions = getRolePermissions(req.role);
+    return req.role;
+}
 
-            if (hasVerifiedFactor) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'MFA is already enabled for this account. Please disable it first before re-enrolling.'
+/**
+ * Middleware factory: allow the request only if the user's role grants every listed permission.
+ * Must run after authMiddleware.
+ * @param {...string} permissions - Required permissions
+ * @returns {Function} Express middleware
+ */
+function requirePermission(...permissions) {
+    return async (req, res, next) => {
+        try {
+            await loadUserRole(req);
+
+            const missing = permissions.filter(permission => !hasPermission(req, permission));
+            if (missing.length > 0) {
+                console.log(`❌ User ${req.user.id} (${req.role}) denied ${req.method} ${req.originalUrl} - missing ${missing.join(', ')}`);
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    code: 'INSUFFICIENT_PERMISSIONS',
+                    message: `Your role (${req.role}) does not allow this action`,
+                    role: req.role,
+                    missingPermissions: missing
                 });
             }
-        }
 
-        // Return success - the actual enrollment will happen client-side
-        res.json({
-            success: true,
-            message: 'Ready to enroll MFA. Use client-side enrollment.',
-            userId: userId
-        });
+            next();
+        } catch (e) {
+            console.error('❌ Unexpected error checking permissions:', e);
+            return res.status(500).json({ error: 'Internal server error during permission check.' });
+        }
+    };
+}
 
-    } catch (error) {
-        console.error('MFA Enrollment Validation Error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to validate MFA enrollment',
-            details: error.message
-        });
+/**
+ * Check ownership, triage rights and the workflow state machine for an update to an existing row.
+ * Shared by PUT and PATCH so both enforce the same rules.
+ * @param {Object} req - Express request (role already loaded)
+ * @param {Object} existing - Current database row
+ * @param {Object} changes - { status, priorityLevel, acceptedDeniedReason } as submitted (undefined = not sent)
+ * @returns {Object|null} null if allowed, otherwise { httpStatus, body }
+ */
+function checkEnhancementUpdate(req, existing, { status, priorityLevel, acceptedDeniedReason }) {
+    // Submitters may only edit requests they created; triagers and admins may edit any request
+    const isOwner = existing.created_by && existing.created_by === req.user.id;
+    if (!hasPermission(req, 'enhancement:update:any') && !isOwner) {
+        return {
+            httpStatus: 403,
+            body: {
+                error: 'Forbidden',
+                code: 'INSUFFICIENT_PERMISSIONS',
+                message: `Your role (${req.role}) only allows editing requests you submitted`,
+                role: req.role
+            }
+        };
     }
-});
 
-// Verify enrollment and activate MFA
-app.post('/api/mfa/verify-enrollment', mfaLimiter, authMiddleware, async (req, res) => {
-    try {
-        const userId = req.user.id;
-        const { factorId, code } = req.body;
+    // Only triagers and admins may change status or priority
+    const statusChanged = status !== undefined && status !== existing.status;
+    const priorityChanged = priorityLevel !== undefined && priorityLevel !== existing.priority_level;
+    if ((statusChanged || priorityChanged) && !hasPermission(req, 'enhancement:triage')) {
+        return {
+            httpStatus: 403,
+            body: {
+                error: 'Forbidden',
+                code: 'INSUFFICIENT_PERMISSIONS',
+                message: `Your role (${req.role}) does not allow changing status or priority`,
+                role: req.role,
+                missingPermissions: ['enhancement:triage']
+            }
+        };
+    }
 
-        if (!factorId || !code) {
-            return res.status(400).json({
-                success: false,
-                error: 'Factor ID and verification code are required'
-            });
-        }
+    // Enforce the workflow state machine; fall back to the stored reason when none is sent
+    if (statusChanged) {
+        const reason = acceptedDeniedReason !== undefined ? acceptedDeniedReason : existing.accepted_denied_reason;
+        return validateStatusTransition(existing.status, status, reason);
+    }
 
-        // Verify the TOTP code using REST API
-        const verifyResponse = await fetch(`${supabaseUrl}/auth/v1/admin/users/${userId}/factors/${factorId}/verify`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${clientKey}`,
-                'apikey': clientKey,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ code })
-        });
+    return null;
+}
 
-        if (!verifyResponse.ok) {
-            const errorText = await verifyResponse.text();
-            console.error('MFA Verification Error:', errorText);
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid verification code. Please check your authenticator app and try again.',
-                details: errorText
-            });
-        }
+// Change History
 
-        const data = await verifyResponse.json();
-        console.log('Verification response:', data);
+// Enhancement columns whose changes are recorded in enhancement_history
+const HISTORY_TRACKED_FIELDS = [
+    'request_id', 'request_name', 'request_description', 'rationale', 'requestor_name',
+    'date_of_request', 'stakeholder', 'type_of_request', 'area_of_product', 'link_to_document',
+    'desire_level', 'effort_level', 'difficulty_level', 'who_benefits', 'status', 'priority_level',
+    'accepted_denied_reason', 'timeline', 'documentation_updated', 'storylanes_updated', 'release_notes',
+    'internal_only', 'deleted_at', 'merged_into', 'release_id'
+];
 
-        res.json({
-            success: true,
-            message: '2FA has been successfully enabled for your account!'
-        });
+/**
+ * Build the actor recorded against a change from the authenticated request
+ * @param {Object} req - Express request (req.user is set by authMiddleware)
+ * @returns {Object} { id, name }
+ */
+function getActor(req) {
+    return {
+        id: req.user?.id || null,
+        name: req.user?.email || req.user?.id || 'Unknown'
+    };
+}
 
-    } catch (error) {
-        console.error('MFA Verification Error:', error);
+/**
+ * Normalise a column value to the text stored in enhancement_history
+ * @param {*} value - Column value
+ * @returns {string|null} Text value, or null for empty values
+ */
+function historyValue(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    return String(value);
+}
+
+/**
+ * Append per-field change history entries for an enhancement.
+ * History is append-only: entries are only ever inserted. A failure is logged rather than
+ * thrown so that a history problem never rolls back the change it describes.
+ * @param {Object} change
+ * @param {number} change.enhancementId - ID of the changed enhancement
+ * @param {string} change.action - create | update | import | slack | delete | restore | merge
+ * @param {Object|null} change.before - Row before the change (null for new rows)
+ * @param {Object} change.after - Row after the change
+ * @param {Object} change.actor - { id, name } from getActor()
+ * @returns {Promise<number>} Number of entries recorded
+ */
+async function recordEnhancementHistory({ enhancementId, action, before, after, actor }) {
+    const changedAt = new Date().toISOString();
+    const entries = HISTORY_TRACKED_FIELDS
+        .map(field => ({
+            field,
+            oldValue: before ? historyValue(before[field]) : null,
+            newValue: historyValue(after[field])
+        }))
+        .filter(({ oldValue, newValue }) => oldValue !== newValue)
+        .map(({ field, oldValue, newValue }) => ({
+            enhancement_id: enhancementId,
+            action,
+            field_name: field,
+            old_value: oldValue,
+            new_value: newValue,
+            actor_id: actor?.id || null,
+            actor_name: actor?.name || 'Unknown',
+            changed_at: changedAt
+        }));
+
+    if (entries.length === 0) {
+        return 0;
+    }
+
+    try {
+        const { error } = await db.from('enhancement_history').insert(entries);
+        if (error) {
+            console.error(`❌ Failed to record history for enhancement ${enhancementId}:`, error.message);
+            return 0;
+        }
+        console.log(`📝 Recorded ${entries.length} history entries (${action}) for enhancement ${enhancementId}`);
+        return entries.length;
+    } catch (error) {
+        console.error(`❌ Unexpected error recording history for enhancement ${enhancementId}:`, error);
+        return 0;
+    }
+}
+
+
+// Request IDs
+// The enhancements_assign_request_id trigger (migration 013_request_ids) fills in request_id during the INSERT,
+// using the area/type prefix from the taxonomy. Insert paths leave request_id out.
+
+/**
+ * Make sure a freshly inserted row has a request ID. Only needed while the trigger is not installed:
+ * the row then gets the legacy REQ-<row id>. Rows left without one are fixed by `npm run repair-ids`.
+ * @param {Object} row - Inserted enhancement row
+ * @returns {Promise<Object>} Row with its request_id
+ */
+async function ensureRequestId(row) {
+    if (row.request_id) {
+        return row;
+    }
+
+    console.warn(`⚠️ Enhancement ${row.id} was inserted without a request ID - run "npm run migrate -- up" to assign them atomically`);
+    const requestId = `REQ-${String(row.id).padStart(6, '0')}`;
+    const { error } = await db
+        .from('enhancements')
+        .update({ request_id: requestId })
+        .eq('id', row.id)
+        .is('request_id', null);
+
+    if (error) {
+        console.error(`❌ Failed to set request ID of enhancement ${row.id}:`, error.message);
+        return row;
+    }
+    return { ...row, request_id: requestId };
+}
+
+
+// Duplicate Detection
+// Local TF-IDF cosine similarity over request names and descriptions - no external service involved.
+
+const DUPLICATE_SIMILARITY_THRESHOLD = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD || '0.45');
+const MAX_DUPLICATE_MATCHES = 5;
+
+const SIMILARITY_STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'do', 'for', 'from', 'has',
+    'have', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'need', 'needs', 'of', 'on', 'or',
+    'our', 'please', 'should', 'so', 'that', 'the', 'their', 'them', 'there', 'this', 'to', 'us', 'was',
+    'we', 'when', 'which', 'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Split text into normalised terms (lowercased, stopwords removed, simple plural/verb suffixes stripped)
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms
+ */
+function tokenizeForSimilarity(text) {
+    if (!text) {
+        return [];
+    }
+    return String(text)
+        .toLowerCase()
+        // Slack requests are named "Slack Request: <first 50 chars>", which says nothing about the request
+        .replace(/^slack request:\s*/, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .split(' ')
+        .filter(term => term.length > 1 && !SIMILARITY_STOPWORDS.has(term))
+        .map(term => term
+            .replace(/(ing|ed)$/, match => (term.length > 5 ? '' : match))
+            .replace(/([^s])s$/, (match, prefix) => (term.length > 3 ? prefix : match)));
+}
+
+/**
+ * Count how often each term occurs
+ * @param {string[]} terms - Terms from tokenizeForSimilarity
+ * @returns {Map<string, number>} Term frequencies
+ */
+function termCounts(terms) {
+    const counts = new Map();
+    terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    return counts;
+}
+
+/**
+ * Add a request to a duplicate-detection corpus, updating document frequencies
+ * @param {Object} corpus - Corpus from buildDuplicateCorpus
+ * @param {Object} row - Database row with id, request_id, request_name, request_description, status
+ */
+function addToDuplicateCorpus(corpus, row) {
+    const name = termCounts(tokenizeForSimilarity(row.request_name));
+    const description = termCounts(tokenizeForSimilarity(row.request_description));
+    const all = termCounts([...tokenizeForSimilarity(row.request_name), ...tokenizeForSimilarity(row.request_description)]);
+
+    all.forEach((count, term) => corpus.documentFrequency.set(term, (corpus.documentFrequency.get(term) || 0) + 1));
+    corpus.documents.push({ row, name, description, all });
+}
+
+/**
+ * Build an in-memory corpus of existing requests to compare new submissions against
+ * @param {Object[]} rows - Database rows
+ * @returns {Object} { documents, documentFrequency }
+ */
+function buildDuplicateCorpus(rows) {
+    const corpus = { documents: [], documentFrequency: new Map() };
+    rows.forEach(row => addToDuplicateCorpus(corpus, row));
+    return corpus;
+}
+
+/**
+ * Load every active request into a duplicate-detection corpus
+ * @returns {Promise<Object>} Corpus
+ */
+async function loadDuplicateCorpus() {
+    const { data, error } = await db
+        .from('enhancements')
+        .select('id, request_id, request_name, request_description, status')
+        .is('deleted_at', null);
+
+    if (error) {
+        throw error;
+    }
+    return buildDuplicateCorpus(data || []);
+}
+
+/**
+ * TF-IDF weighted cosine similarity between two term-frequency maps
+ * @param {Object} corpus - Corpus providing document frequencies
+ * @param {Map<string, number>} a - Term frequencies
+ * @param {Map<string, number>} b - Term frequencies
+ * @returns {number} Similarity between 0 and 1
+ */
+function cosineSimilarity(corpus, a, b) {
+    if (a.size === 0 || b.size === 0) {
+        return 0;
+    }
+
+    const totalDocuments = corpus.documents.length;
+    const weight = (term, count) => count * (Math.log((totalDocuments + 1) / ((corpus.documentFrequency.get(term) || 0) + 1)) + 1);
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    a.forEach((count, term) => {
+        const weightA = weight(term, count);
+        normA += weightA * weightA;
+        if (b.has(term)) {
+            dot += weightA * weight(term, b.get(term));
+        }
+    });
+    b.forEach((count, term) => {
+        const weightB = weight(term, count);
+        normB += weightB * weightB;
+    });
+
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Rank existing requests that look like duplicates of a new one
+ * @param {Object} corpus - Corpus from loadDuplicateCorpus/buildDuplicateCorpus
+ * @param {Object} candidate - { name, description }
+ * @param {Object} [options] - { excludeId, limit, threshold }
+ * @returns {Object[]} Matches, best first: { id, requestId, requestName, status, score }
+ */
+function findDuplicates(corpus, { name, description }, options = {}) {
+    const { excludeId = null, limit = MAX_DUPLICATE_MATCHES, threshold = DUPLICATE_SIMILARITY_THRESHOLD } = options;
+
+    const nameTerms = termCounts(tokenizeForSimilarity(name));
+    const descriptionTerms = termCounts(tokenizeForSimilarity(description));
+    const allTerms = termCounts([...tokenizeForSimilarity(name), ...tokenizeForSimilarity(description)]);
+
+    return corpus.documents
+        // Without an excludeId nothing is left out: previewed import rows are in the corpus with no ID yet
+        .filter(document => excludeId === null || document.row.id !== excludeId)
+        .map(document => {
+            // Field-by-field similarity, or whole-text similarity for requests whose name is just
+            // the start of the description (Slack) or whose detail sits in the other field
+            const fieldScore = 0.6 * cosineSimilarity(corpus, nameTerms, document.name) +
+                0.4 * cosineSimilarity(corpus, descriptionTerms, document.description);
+            const overallScore = cosineSimilarity(corpus, allTerms, document.all);
+            return { document, score: Math.max(fieldScore, overallScore) };
+        })
+        .filter(({ score }) => score >= threshold)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ document, score }) => ({
+            id: document.row.id,
+            requestId: document.row.request_id,
+            requestName: document.row.request_name,
+            status: document.row.status,
+            score: Math.round(score * 100) / 100
+        }));
+}
+
+/**
+ * Load the corpus and rank likely duplicates of a single request.
+ * Duplicate detection is advisory, so failures are logged and reported as "no matches".
+ * @param {Object} candidate - { name, description }
+ * @param {Object} [options] - Passed to findDuplicates
+ * @returns {Promise<Object[]>} Matches, best first
+ */
+async function detectDuplicates(candidate, options = {}) {
+    try {
+        const corpus = await loadDuplicateCorpus();
+        return findDuplicates(corpus, candidate, options);
+    } catch (error) {
+        console.error('⚠️ Duplicate detection failed:', error.message);
+        return [];
+    }
+}
+
+
+// Links between enhancements
+
+// Link types accepted by POST /api/enhancements/:id/links, relative to the request in the URL,
+// mapped to the stored link type and whether the stored direction is reversed
+const LINK_DIRECTIONS = {
+    blocks: { linkType: 'blocks', reverse: false },
+    blocked_by: { linkType: 'blocks', reverse: true },
+    relates_to: { linkType: 'relates_to', reverse: false },
+    parent_of: { linkType: 'parent_of', reverse: false },
+    child_of: { linkType: 'parent_of', reverse: true }
+};
+
+/**
+ * Find the path that adding source -> target would close into a cycle
+ * @param {string} linkType - blocks | parent_of
+ * @param {number} sourceId - Source of the new link
+ * @param {number} targetId - Target of the new link
+ * @returns {Promise<number[]|null>} Enhancement IDs from target back to source, or null if there is no cycle
+ */
+async function findLinkCycle(linkType, sourceId, targetId) {
+    const { data, error } = await db
+        .from('enhancement_links')
+        .select('source_id, target_id')
+        .eq('link_type', linkType);
+
+    if (error) {
+        throw error;
+    }
+
+    const edges = new Map();
+    (data || []).forEach(link => {
+        if (!edges.has(link.source_id)) {
+            edges.set(link.source_id, []);
+        }
+        edges.get(link.source_id).push(link.target_id);
+    });
+
+    // Breadth-first search from the new target; reaching the new source means a cycle
+    const previous = new Map([[targetId, null]]);
+    const queue = [targetId];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (current === sourceId) {
+            const path = [];
+            for (let node = current; node !== null; node = previous.get(node)) {
+                path.unshift(node);
+            }
+            return path;
+        }
+        (edges.get(current) || []).forEach(next => {
+            if (!previous.has(next)) {
+                previous.set(next, current);
+                queue.push(next);
+            }
+        });
+    }
+    return null;
+}
+
+/**
+ * Load the links touching a set of enhancements, grouped per enhancement
+ * @param {Object[]} rows - Enhancement rows the summaries are for
+ * @returns {Promise<Map<number, Object>>} Enhancement ID -> { links, incompleteBlockers }
+ */
+async function loadLinkSummaries(rows) {
+    const summaries = new Map();
+    if (rows.length === 0) {
+        return summaries;
+    }
+
+    const ids = rows.map(row => row.id);
+    let linkQuery = db.from('enhancement_links').select('id, source_id, target_id, link_type');
+    // Long ID lists do not fit in a URL; the links table is small enough to read whole instead
+    if (ids.length <= MAX_PAGE_SIZE) {
+        linkQuery = linkQuery.or(`source_id.in.(${ids.join(',')}),target_id.in.(${ids.join(',')})`);
+    }
+
+    const { data: links, error } = await linkQuery;
+    if (error) {
+        throw error;
+    }
+
+    // Linked requests outside this set still need their request ID, name and status
+    const rowsById = new Map(rows.map(row => [row.id, row]));
+    const missingIds = [...new Set((links || []).flatMap(link => [link.source_id, link.target_id]))]
+        .filter(id => !rowsById.has(id));
+    if (missingIds.length > 0) {
+        const { data: linkedRows, error: linkedError } = await db
+            .from('enhancements')
+            .select('id, request_id, request_name, status, deleted_at')
+            .in('id', missingIds);
+
+        if (linkedError) {
+            throw linkedError;
+        }
+        (linkedRows || []).forEach(row => rowsById.set(row.id, row));
+    }
+
+    const describe = (linkId, id) => {
+        const row = rowsById.get(id);
+        if (!row || row.deleted_at) {
+            return null;
+        }
+        return { linkId, id: row.id, requestId: row.request_id, requestName: row.request_name, status: row.status };
+    };
+
+    ids.forEach(id => summaries.set(id, { blocks: [], blockedBy: [], relatesTo: [], parent: null, children: [] }));
+    (links || []).forEach(link => {
+        const sourceSummary = summaries.get(link.source_id);
+        const targetSummary = summaries.get(link.target_id);
+        const source = describe(link.id, link.source_id);
+        const target = describe(link.id, link.target_id);
+
+        if (link.link_type === 'blocks') {
+            if (sourceSummary && target) sourceSummary.blocks.push(target);
+            if (targetSummary && source) targetSummary.blockedBy.push(source);
+        } else if (link.link_type === 'relates_to') {
+            if (sourceSummary && target) sourceSummary.relatesTo.push(target);
+            if (targetSummary && source) targetSummary.relatesTo.push(source);
+        } else if (link.link_type === 'parent_of') {
+            if (sourceSummary && target) sourceSummary.children.push(target);
+            if (targetSummary && source) targetSummary.parent = source;
+        }
+    });
+
+    const result = new Map();
+    summaries.forEach((summary, id) => {
+        result.set(id, {
+            links: summary,
+            incompleteBlockers: summary.blockedBy.filter(blocker => blocker.status !== 'complete').map(blocker => blocker.requestId)
+        });
+    });
+    return result;
+}
+
+/**
+ * Count votes per enhancement and note which ones the current user has voted for
+ * @param {number[]} ids - Enhancement IDs
+ * @param {string} userId - Current user's ID
+ * @returns {Promise<Map<number, Object>>} Enhancement ID -> { voteCount, hasVoted }
+ */
+async function loadVoteSummaries(ids, userId) {
+    const summaries = new Map(ids.map(id => [id, { voteCount: 0, hasVoted: false }]));
+    if (ids.length === 0) {
+        return summaries;
+    }
+
+    let query = db.from('enhancement_votes').select('enhancement_id, user_id');
+    // Long ID lists do not fit in a URL; read every vote instead
+    if (ids.length <= MAX_PAGE_SIZE) {
+        query = query.in('enhancement_id', ids);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+        throw error;
+    }
+
+    (data || []).forEach(vote => {
+        const summary = summaries.get(vote.enhancement_id);
+        if (summary) {
+            summary.voteCount++;
+            summary.hasVoted = summary.hasVoted || vote.user_id === userId;
+        }
+    });
+    return summaries;
+}
+
+/**
+ * Transform rows for the API, adding each row's links, incomplete blockers and votes
+ * @param {Object[]} rows - Enhancement rows
+ * @param {string} userId - Current user's ID (for hasVoted)
+ * @returns {Promise<Object[]>} Transformed enhancements
+ */
+async function transformEnhancements(rows, userId) {
+    const [links, votes] = await Promise.all([
+        loadLinkSummaries(rows),
+        loadVoteSummaries(rows.map(row => row.id), userId)
+    ]);
+    return rows.map(row => ({ ...transformEnhancement(row), ...links.get(row.id), ...votes.get(row.id) }));
+}
+
+
+// MFA Management Endpoints
+
+// Check MFA status for the authenticated user
+app.get('/api/mfa/status', mfaLimiter, authMiddleware, requirePermission('mfa:manage'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        // Use REST API to list factors
+        const response = await fetch(`${supabaseUrl}/auth/v1/admin/users/${userId}/factors`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${clientKey}`,
+                'apikey': clientKey,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error('Failed to list factors:', errorText);
+            throw new Error(`Failed to list factors: ${response.status}`);
+        }
+
+        const data = await response.json();
+        console.log('MFA Factors for user:', userId, data);
+
+        // Check if user has any verified TOTP factors
+        const verifiedFactor = data?.factors?.find(f => f.factor_type === 'totp' && f.status === 'verified');
+
+        res.json({
+            success: true,
+            mfaEnabled: !!verifiedFactor,
+            factorId: verifiedFactor?.id || null,
+            friendlyName: verifiedFactor?.friendly_name || null
+        });
+    } catch (error) {
+        console.error('MFA Status Check Error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to verify MFA code',
+            error: 'Failed to check MFA status',
             details: error.message
         });
     }
 });
 
-// Disable MFA for the authenticated user
-app.delete('/api/mfa/disable', mfaLimiter, authMiddleware, async (req, res) => {
+// Start MFA enrollment process
+// NOTE: MFA enrollment must be done client-side by the user, not server-side
+// This endpoint just validates the user is authenticated
+app.post('/api/mfa/enroll', mfaLimiter, authMiddleware, requirePermission('mfa:manage'), async (req, res) => {
     try {
         const userId = req.user.id;
 
-        // Get all factors for this user
+        // Check if user already has a verified factor
         const listResponse = await fetch(`${supabaseUrl}/auth/v1/admin/users/${userId}/factors`, {
             method: 'GET',
             headers: {
@@ -470,638 +1376,4332 @@ app.delete('/api/mfa/disable', mfaLimiter, authMiddleware, async (req, res) => {
             }
         });
 
-        if (!listResponse.ok) {
-            throw new Error(`Failed to list factors: ${listResponse.status}`);
+        if (listResponse.ok) {
+            const existingFactors = await listResponse.json();
+            const hasVerifiedFactor = existingFactors?.factors?.some(f => f.factor_type === 'totp' && f.status === 'verified');
+
+            if (hasVerifiedFactor) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'MFA is already enabled for this account. Please disable it first before re-enrolling.'
+                });
+            }
+        }
+
+        // Return success - the actual enrollment will happen client-side
+        res.json({
+            success: true,
+            message: 'Ready to enroll MFA. Use client-side enrollment.',
+            userId: userId
+        });
+
+    } catch (error) {
+        console.error('MFA Enrollment Validation Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to validate MFA enrollment',
+            details: error.message
+        });
+    }
+});
+
+// Verify enrollment and activate MFA
+app.post('/api/mfa/verify-enrollment', mfaLimiter, authMiddleware, requirePermission('mfa:manage'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { factorId, code } = req.body;
+
+        if (!factorId || !code) {
+            return res.status(400).json({
+                success: false,
+                error: 'Factor ID and verification code are required'
+            });
+        }
+
+        // Verify the TOTP code using REST API
+        const verifyResponse = await fetch(`${supabaseUrl}/auth/v1/admin/users/${userId}/factors/${factorId}/verify`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${clientKey}`,
+                'apikey': clientKey,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ code })
+        });
+
+        if (!verifyResponse.ok) {
+            const errorText = await verifyResponse.text();
+            console.error('MFA Verification Error:', errorText);
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid verification code. Please check your authenticator app and try again.',
+                details: errorText
+            });
+        }
+
+        const data = await verifyResponse.json();
+        console.log('Verification response:', data);
+
+        res.json({
+            success: true,
+            message: '2FA has been successfully enabled for your account!'
+        });
+
+    } catch (error) {
+        console.error('MFA Verification Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify MFA code',
+            details: error.message
+        });
+    }
+});
+
+// Disable MFA for the authenticated user
+app.delete('/api/mfa/disable', mfaLimiter, authMiddleware, requirePermission('mfa:manage'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        // Get all factors for this user
+        const listResponse = await fetch(`${supabaseUrl}/auth/v1/admin/users/${userId}/factors`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${clientKey}`,
+                'apikey': clientKey,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (!listResponse.ok) {
+            throw new Error(`Failed to list factors: ${listResponse.status}`);
+        }
+
+        const factorsData = await listResponse.json();
+
+        // Find verified TOTP factors
+        const verifiedFactors = factorsData?.factors?.filter(f => f.factor_type === 'totp' && f.status === 'verified') || [];
+
+        if (verifiedFactors.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No MFA factors are currently enabled'
+            });
+        }
+
+        // Unenroll all verified TOTP factors
+        for (const factor of verifiedFactors) {
+            const deleteResponse = await fetch(`${supabaseUrl}/auth/v1/admin/users/${userId}/factors/${factor.id}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${clientKey}`,
+                    'apikey': clientKey,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!deleteResponse.ok) {
+                console.error(`Failed to unenroll factor ${factor.id}:`, await deleteResponse.text());
+            }
+        }
+
+        res.json({
+            success: true,
+            message: '2FA has been disabled for your account'
+        });
+
+    } catch (error) {
+        console.error('MFA Disable Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to disable MFA',
+            details: error.message
+        });
+    }
+});
+
+// API Routes
+
+// How the web page signs in: through Supabase Auth, or with just an email address ('local') on the memory backend
+app.get('/api/config', (req, res) => {
+    res.json({
+        storageBackend: STORAGE_BACKEND,
+        authMode: STORAGE_BACKEND === 'memory' ? 'local' : 'supabase'
+    });
+});
+
+// Get the authenticated user's role and permissions (used by the UI to hide disallowed actions)
+app.get('/api/me', authMiddleware, requirePermission('enhancement:read'), (req, res) => {
+    res.json({
+        id: req.user.id,
+        email: req.user.email,
+        role: req.role,
+        permissions: req.permissions
+    });
+});
+
+// List assigned user roles (admin only)
+app.get('/api/roles', authMiddleware, requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const { data, error } = await db
+            .from('user_roles')
+            .select('*')
+            .order('updated_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            roles: ROLES,
+            defaultRole: DEFAULT_USER_ROLE,
+            assignments: (data || []).map(row => ({
+                userId: row.user_id,
+                email: row.email,
+                role: row.role,
+                updatedAt: row.updated_at
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching user roles:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Assign a role to a user (admin only)
+app.put('/api/roles/:userId', authMiddleware, requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { role, email } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                error: 'Invalid role',
+                details: `Role must be one of: ${ROLES.join(', ')}`
+            });
+        }
+
+        // Stop admins from locking everyone out by demoting themselves
+        if (userId === req.user.id && role !== 'admin') {
+            return res.status(400).json({ error: 'You cannot remove your own admin role' });
+        }
+
+        const { data, error } = await db
+            .from('user_roles')
+            .upsert({
+                user_id: userId,
+                email: email || null,
+                role,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id' })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        console.log(`👤 User ${userId} assigned role ${role} by ${req.user.id}`);
+        res.json({ userId: data.user_id, email: data.email, role: data.role, updatedAt: data.updated_at });
+    } catch (error) {
+        console.error('Error assigning user role:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get enhancements with optional filtering, sorting and pagination
+// Query parameters:
+//   status, priority, area, type, desire, difficulty, ids - exact match (comma-separated for several values)
+//   search, requestId, requestor, whoBenefits             - partial, case-insensitive match
+//   dateFrom, dateTo                                      - date_of_request range (YYYY-MM-DD)
+//   createdFrom, createdTo                                - created_at range (YYYY-MM-DD)
+//   sortBy, sortOrder                                     - any key of ENHANCEMENT_SORT_COLUMNS, asc|desc
+//   page, pageSize                                        - 1-based page number and page size (max MAX_PAGE_SIZE)
+// The total number of matching rows is returned in the X-Total-Count header.
+app.get('/api/enhancements', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        const { sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+
+        const sortColumn = ENHANCEMENT_SORT_COLUMNS[sortBy];
+        if (!sortColumn) {
+            return res.status(400).json({
+                error: 'Invalid sortBy parameter',
+                details: `sortBy must be one of: ${Object.keys(ENHANCEMENT_SORT_COLUMNS).join(', ')}`
+            });
+        }
+
+        if (!['asc', 'desc'].includes(String(sortOrder).toLowerCase())) {
+            return res.status(400).json({
+                error: 'Invalid sortOrder parameter',
+                details: 'sortOrder must be asc or desc'
+            });
+        }
+
+        // Soft-deleted requests live in the Trash and are never listed here
+        let query = db.from('enhancements').select('*', { count: 'exact' }).is('deleted_at', null);
+
+        const filtered = applyEnhancementFilters(query, req.query);
+        if (filtered.error) {
+            return res.status(400).json({ error: 'Invalid filter parameter', details: filtered.error });
+        }
+        query = filtered.query;
+
+        query = query.order(sortColumn, { ascending: String(sortOrder).toLowerCase() === 'asc', nullsFirst: false });
+        // Secondary order keeps pagination stable when the sort column has duplicate values
+        if (sortColumn !== 'id') {
+            query = query.order('id', { ascending: false });
+        }
+
+        // Pagination is optional - without page/pageSize every matching row is returned
+        const pagination = parsePagination(req.query);
+        if (pagination.error) {
+            return res.status(400).json({ error: 'Invalid pagination parameters', details: pagination.error });
+        }
+        if (pagination.range) {
+            query = query.range(pagination.range.from, pagination.range.to);
+        }
+
+        const { data, error, count } = await query;
+
+        if (error) {
+            // Requesting a page past the end of the result set
+            if (error.code === 'PGRST103') {
+                res.set('X-Total-Count', String(count || 0));
+                return res.json([]);
+            }
+            console.error('Supabase query error:', error);
+            throw error;
+        }
+
+        console.log('Fetched enhancements:', data?.length || 0, 'of', count, 'records');
+
+        res.set('X-Total-Count', String(count != null ? count : (data || []).length));
+        res.json(await transformEnhancements(data || [], req.user.id));
+    } catch (error) {
+        console.error('Error fetching enhancements:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List soft-deleted enhancements in the Trash (most recently deleted first)
+// Declared before /api/enhancements/:id so "trash" is not treated as an ID
+app.get('/api/enhancements/trash', authMiddleware, requirePermission('enhancement:delete'), async (req, res) => {
+    try {
+        const { data, error } = await db
+            .from('enhancements')
+            .select('*')
+            .not('deleted_at', 'is', null)
+            .is('merged_into', null)
+            .order('deleted_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        res.json({
+            retentionDays: TRASH_RETENTION_DAYS,
+            items: (data || []).map(enhancement => ({
+                ...transformEnhancement(enhancement),
+                purgeEligibleAt: new Date(new Date(enhancement.deleted_at).getTime() + retentionMs).toISOString()
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Permanently remove enhancements that have been in the Trash longer than the retention period (admin only)
+app.delete('/api/enhancements/trash', authMiddleware, requirePermission('enhancement:purge'), async (req, res) => {
+    try {
+        const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+        const { data, error } = await db
+            .from('enhancements')
+            .delete()
+            .not('deleted_at', 'is', null)
+            .is('merged_into', null)
+            .lte('deleted_at', cutoff)
+            .select('id, request_id');
+
+        if (error) {
+            throw error;
+        }
+
+        const purged = data || [];
+        console.log(`🗑️ User ${req.user.id} purged ${purged.length} enhancement(s) deleted before ${cutoff}:`, purged.map(e => e.request_id));
+        res.json({
+            message: `Permanently deleted ${purged.length} request(s) older than ${TRASH_RETENTION_DAYS} days`,
+            purged: purged.length,
+            requestIds: purged.map(e => e.request_id),
+            retentionDays: TRASH_RETENTION_DAYS
+        });
+    } catch (error) {
+        console.error('Error purging trash:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get the validation schema used by every write path (the forms and the CSV checker validate with it too)
+app.get('/api/enhancements/schema', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        res.json(await getEnhancementSchema());
+    } catch (error) {
+        console.error('Error building the validation schema:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get enhancement by ID or request ID (e.g. REQ-000012). Merged requests redirect to the request they were merged into.
+app.get('/api/enhancements/:id', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const column = /^\d+$/.test(id) ? 'id' : 'request_id';
+        const value = column === 'id' ? id : id.toUpperCase();
+
+        const { data, error } = await db
+            .from('enhancements')
+            .select('*')
+            .eq(column, value)
+            .is('deleted_at', null)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data) {
+            const { data: alias, error: aliasError } = await db
+                .from('enhancements')
+                .select('id, request_id, merged_into')
+                .eq(column, value)
+                .not('merged_into', 'is', null)
+                .maybeSingle();
+
+            if (aliasError) {
+                throw aliasError;
+            }
+            if (alias) {
+                console.log(`↪️ ${alias.request_id} was merged into enhancement ${alias.merged_into}, redirecting`);
+                res.set('X-Merged-From', alias.request_id);
+                return res.redirect(308, `/api/enhancements/${alias.merged_into}`);
+            }
+            return res.status(404).json({ error: 'Enhancement not found' });
+        }
+
+        const { data: aliases, error: aliasesError } = await db
+            .from('enhancements')
+            .select('request_id')
+            .eq('merged_into', data.id);
+
+        if (aliasesError) {
+            throw aliasesError;
+        }
+
+        const etag = enhancementETag(data);
+        if (etag) {
+            res.set('ETag', etag);
+        }
+        const [enhancement] = await transformEnhancements([data], req.user.id);
+        res.json({
+            ...enhancement,
+            mergedRequestIds: (aliases || []).map(alias => alias.request_id)
+        });
+    } catch (error) {
+        console.error('Error fetching enhancement:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get the change history of an enhancement (newest first)
+app.get('/api/enhancements/:id/history', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: enhancement, error: lookupError } = await db
+            .from('enhancements')
+            .select('id')
+            .eq('id', id)
+            .single();
+
+        if (lookupError) {
+            if (lookupError.code === 'PGRST116') {
+                return res.status(404).json({ error: 'Enhancement not found' });
+            }
+            throw lookupError;
+        }
+
+        const { data, error } = await db
+            .from('enhancement_history')
+            .select('*')
+            .eq('enhancement_id', enhancement.id)
+            .order('changed_at', { ascending: false })
+            .order('id', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        res.json((data || []).map(entry => ({
+            id: entry.id,
+            enhancementId: entry.enhancement_id,
+            action: entry.action,
+            fieldName: entry.field_name,
+            oldValue: entry.old_value,
+            newValue: entry.new_value,
+            actorId: entry.actor_id,
+            actorName: entry.actor_name,
+            changedAt: entry.changed_at
+        })));
+    } catch (error) {
+        console.error('Error fetching enhancement history:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create new enhancement
+// Rank existing requests that look like duplicates of a request that has not been saved yet
+app.post('/api/enhancements/check-duplicates', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        const { requestName, requestDescription, excludeId } = req.body || {};
+
+        if ((!requestName || String(requestName).trim() === '') && (!requestDescription || String(requestDescription).trim() === '')) {
+            return res.status(400).json({ error: 'requestName or requestDescription is required' });
+        }
+
+        const corpus = await loadDuplicateCorpus();
+        const duplicates = findDuplicates(corpus, { name: requestName, description: requestDescription }, {
+            excludeId: excludeId ? parseInt(excludeId, 10) : null
+        });
+
+        res.json({ duplicates, threshold: DUPLICATE_SIMILARITY_THRESHOLD });
+    } catch (error) {
+        console.error('Error checking for duplicates:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/enhancements', authMiddleware, requirePermission('enhancement:create'), async (req, res) => {
+    try {
+        console.log('POST /api/enhancements - Request body:', req.body);
+        console.log('Request headers:', req.headers);
+        console.log('Content-Type:', req.get('Content-Type'));
+        
+        const { values, errors } = validateEnhancement(req.body, await getEnhancementSchema());
+        if (errors.length > 0) {
+            console.log('❌ Validation failed:', errors.map(e => e.message).join('; '));
+            return res.status(400).json({ error: 'Validation failed', details: errors });
+        }
+
+        // request_id is assigned by the database in the same insert
+        const enhancementData = {
+            ...toColumns(values),
+            created_by: req.user.id
+        };
+
+        console.log('Enhancement data to insert:', enhancementData);
+
+        // Check before inserting so the new request does not match itself
+        const possibleDuplicates = await detectDuplicates({ name: values.requestName, description: values.requestDescription });
+        if (possibleDuplicates.length > 0) {
+            console.log(`⚠️ New request "${values.requestName}" resembles: ${possibleDuplicates.map(d => d.requestId).join(', ')}`);
+        }
+        
+        const { data: inserted, error } = await db
+            .from('enhancements')
+            .insert([enhancementData])
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Supabase insert error:', error);
+            console.error('Error details:', JSON.stringify(error, null, 2));
+            console.error('Enhancement data that failed:', JSON.stringify(enhancementData, null, 2));
+            return res.status(500).json({ 
+                error: 'Database error', 
+                details: error.message,
+                code: error.code,
+                hint: error.hint,
+                data: enhancementData,
+                fullError: error
+            });
+        }
+
+        const data = await ensureRequestId(inserted);
+
+        await recordEnhancementHistory({
+            enhancementId: data.id,
+            action: 'create',
+            before: null,
+            after: data,
+            actor: getActor(req)
+        });
+
+        console.log('Successfully created enhancement:', data);
+        res.json({ ...data, possibleDuplicates });
+    } catch (error) {
+        console.error('Error creating enhancement:', error);
+        console.error('Error stack:', error.stack);
+        console.error('Request body:', req.body);
+        res.status(500).json({ 
+            error: 'Failed to create enhancement',
+            details: error.message,
+            stack: error.stack
+        });
+    }
+});
+
+/**
+ * Update a row, but only if it still has the version the change was based on.
+ * The version filter makes the check and the write a single statement, so a concurrent
+ * update between our read and this write cannot be overwritten.
+ * @param {string} id - Enhancement ID
+ * @param {Object} updateData - Columns to write
+ * @param {Object} existing - Row the change was validated against
+ * @param {number|null} expectedVersion - Version from If-Match, or null for an unconditional update
+ * @returns {Promise<Object>} { data, error }
+ */
+async function updateEnhancementIfCurrent(id, updateData, existing, expectedVersion) {
+    let query = db
+        .from('enhancements')
+        .update(updateData)
+        .eq('id', id)
+        .is('deleted_at', null);
+
+    if (expectedVersion !== null && existing.version != null) {
+        query = query.eq('version', expectedVersion);
+    }
+
+    return query.select().single();
+}
+
+/**
+ * Respond when a conditional update matched no row: 409 if the row moved on, otherwise 404
+ * @param {Object} res - Express response
+ * @param {string} id - Enhancement ID
+ * @param {number|null} expectedVersion - Version from If-Match
+ */
+async function sendUpdateMiss(res, id, expectedVersion) {
+    const { data: current } = await db
+        .from('enhancements')
+        .select('*')
+        .eq('id', id)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+    if (current && expectedVersion !== null) {
+        console.log(`⚠️ Concurrent update detected for enhancement ${id}: expected version ${expectedVersion}, current ${current.version}`);
+        return res.status(409).json(buildVersionConflict(current, expectedVersion));
+    }
+    return res.status(404).json({ error: 'Enhancement not found' });
+}
+
+// Update enhancement
+app.put('/api/enhancements/:id', authMiddleware, requirePermission('enhancement:update:own'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { version: expectedVersion, error: ifMatchError } = parseIfMatch(req);
+        if (ifMatchError) {
+            return res.status(400).json({ error: ifMatchError });
+        }
+
+        // Load the current row so the change history can record old values
+        const { data: existing, error: fetchError } = await db
+            .from('enhancements')
+            .select('*')
+            .eq('id', id)
+            .is('deleted_at', null)
+            .single();
+
+        if (fetchError) {
+            if (fetchError.code === 'PGRST116') {
+                return res.status(404).json({ error: 'Enhancement not found' });
+            }
+            throw fetchError;
+        }
+
+        if (expectedVersion !== null && existing.version != null && existing.version !== expectedVersion) {
+            console.log(`⚠️ Stale write rejected for enhancement ${id}: expected version ${expectedVersion}, current ${existing.version}`);
+            return res.status(409).json(buildVersionConflict(existing, expectedVersion));
+        }
+
+        // Fields that are not sent are left unchanged; values the request already has stay valid
+        const { values, errors } = validateEnhancement(req.body, await getEnhancementSchema(), {
+            mode: 'update',
+            existing: fromRow(existing)
+        });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', details: errors });
+        }
+
+        const updateCheck = checkEnhancementUpdate(req, existing, values);
+        if (updateCheck) {
+            console.log(`❌ Rejected update for enhancement ${id}: ${updateCheck.body.message}`);
+            return res.status(updateCheck.httpStatus).json(updateCheck.body);
+        }
+
+        const updateData = { ...toColumns(values), updated_at: new Date().toISOString() };
+        console.log('Updating enhancement:', id, 'with data:', updateData);
+
+        const { data, error } = await updateEnhancementIfCurrent(id, updateData, existing, expectedVersion);
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                return sendUpdateMiss(res, id, expectedVersion);
+            }
+            console.error('Update error:', error);
+            throw error;
+        }
+
+        await recordEnhancementHistory({
+            enhancementId: data.id,
+            action: 'update',
+            before: existing,
+            after: data,
+            actor: getActor(req)
+        });
+
+        console.log('Successfully updated enhancement:', data);
+        const etag = enhancementETag(data);
+        if (etag) {
+            res.set('ETag', etag);
+        }
+        res.json({ message: 'Enhancement updated successfully', data });
+    } catch (error) {
+        console.error('Error updating enhancement:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Partially update enhancement - only the fields present in the body are validated and written
+app.patch('/api/enhancements/:id', authMiddleware, requirePermission('enhancement:update:own'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body) || Object.keys(req.body).length === 0) {
+            return res.status(400).json({
+                error: 'No fields to update',
+                message: `Send one or more of: ${Object.keys(ENHANCEMENT_FIELDS).join(', ')}`
+            });
+        }
+
+        const { version: expectedVersion, error: ifMatchError } = parseIfMatch(req);
+        if (ifMatchError) {
+            return res.status(400).json({ error: ifMatchError });
+        }
+
+        const { data: existing, error: fetchError } = await db
+            .from('enhancements')
+            .select('*')
+            .eq('id', id)
+            .is('deleted_at', null)
+            .single();
+
+        if (fetchError) {
+            if (fetchError.code === 'PGRST116') {
+                return res.status(404).json({ error: 'Enhancement not found' });
+            }
+            throw fetchError;
+        }
+
+        if (expectedVersion !== null && existing.version != null && existing.version !== expectedVersion) {
+            console.log(`⚠️ Stale write rejected for enhancement ${id}: expected version ${expectedVersion}, current ${existing.version}`);
+            return res.status(409).json(buildVersionConflict(existing, expectedVersion));
+        }
+
+        const { values, errors } = validateEnhancement(req.body, await getEnhancementSchema(), {
+            mode: 'update',
+            existing: fromRow(existing),
+            rejectUnknown: true
+        });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', details: errors });
+        }
+
+        const updateCheck = checkEnhancementUpdate(req, existing, values);
+        if (updateCheck) {
+            console.log(`❌ Rejected patch for enhancement ${id}: ${updateCheck.body.message}`);
+            return res.status(updateCheck.httpStatus).json(updateCheck.body);
+        }
+
+        const updateData = { ...toColumns(values), updated_at: new Date().toISOString() };
+        console.log(`📝 Patching enhancement ${id} fields: ${Object.keys(updateData).join(', ')}`);
+
+        const { data, error } = await updateEnhancementIfCurrent(id, updateData, existing, expectedVersion);
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                return sendUpdateMiss(res, id, expectedVersion);
+            }
+            throw error;
+        }
+
+        await recordEnhancementHistory({
+            enhancementId: data.id,
+            action: 'update',
+            before: existing,
+            after: data,
+            actor: getActor(req)
+        });
+
+        const etag = enhancementETag(data);
+        if (etag) {
+            res.set('ETag', etag);
+        }
+        res.json({ message: 'Enhancement updated successfully', data: transformEnhancement(data) });
+    } catch (error) {
+        console.error('Error patching enhancement:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete enhancement (soft delete - the request moves to the Trash and can be restored)
+app.delete('/api/enhancements/:id', authMiddleware, requirePermission('enhancement:delete'), async (req, res) => {
+    try {
+        console.log('DELETE /api/enhancements/:id - ID:', req.params.id);
+        const { id } = req.params;
+        const { data, error } = await db
+            .from('enhancements')
+            .update({
+                deleted_at: new Date().toISOString(),
+                deleted_by: req.user.id
+            })
+            .eq('id', id)
+            .is('deleted_at', null)
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') {
+                return res.status(404).json({ error: 'Enhancement not found' });
+            }
+            throw error;
+        }
+
+        await recordEnhancementHistory({
+            enhancementId: data.id,
+            action: 'delete',
+            before: { ...data, deleted_at: null },
+            after: data,
+            actor: getActor(req)
+        });
+
+        res.json({ message: 'Enhancement moved to Trash', deletedAt: data.deleted_at });
+    } catch (error) {
+        console.error('Error deleting enhancement:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Restore a soft-deleted enhancement from the Trash
+app.post('/api/enhancements/:id/restore', authMiddleware, requirePermission('enhancement:delete'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: existing, error: fetchError } = await db
+            .from('enhancements')
+            .select('*')
+            .eq('id', id)
+            .not('deleted_at', 'is', null)
+            .is('merged_into', null)
+            .single();
+
+        if (fetchError) {
+            if (fetchError.code === 'PGRST116') {
+                return res.status(404).json({ error: 'Enhancement not found in Trash' });
+            }
+            throw fetchError;
+        }
+
+        const { data, error } = await db
+            .from('enhancements')
+            .update({ deleted_at: null, deleted_by: null })
+            .eq('id', existing.id)
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        await recordEnhancementHistory({
+            enhancementId: data.id,
+            action: 'restore',
+            before: existing,
+            after: data,
+            actor: getActor(req)
+        });
+
+        res.json({ message: 'Enhancement restored successfully', data: transformEnhancement(data) });
+    } catch (error) {
+        console.error('Error restoring enhancement:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Merging duplicates
+const MAX_MERGE_SOURCES = 20;
+
+/**
+ * Combine comma-separated values from several requests, keeping the first spelling of each value
+ * @param {Array<string|null>} values - Comma-separated strings
+ * @returns {string[]} Unique values in first-seen order
+ */
+function combineListValues(values) {
+    const seen = new Map();
+    values
+        .filter(value => value && String(value).trim() !== '')
+        .flatMap(value => String(value).split(','))
+        .map(value => value.trim())
+        .filter(value => value !== '')
+        .forEach(value => {
+            if (!seen.has(value.toLowerCase())) {
+                seen.set(value.toLowerCase(), value);
+            }
+        });
+    return [...seen.values()];
+}
+
+/**
+ * Build the fields of the surviving request after folding duplicates into it
+ * @param {Object} target - Surviving row
+ * @param {Object[]} sources - Rows being merged into it
+ * @param {string[]} whoBenefitsOrder - Who Benefits values in taxonomy order
+ * @returns {Object} Column update for the target
+ */
+function buildMergedFields(target, sources, whoBenefitsOrder) {
+    const all = [target, ...sources];
+
+    const whoBenefits = combineListValues(all.map(row => row.who_benefits));
+    const stakeholders = combineListValues(all.map(row => row.stakeholder));
+
+    // Keep every distinct rationale, labelled with the request it came from
+    let rationale = target.rationale || '';
+    sources.forEach(source => {
+        const sourceRationale = (source.rationale || '').trim();
+        if (sourceRationale && sourceRationale !== 'Not specified' && !rationale.includes(sourceRationale)) {
+            rationale = rationale && rationale !== 'Not specified'
+                ? `${rationale}\n\n[Merged from ${source.request_id}] ${sourceRationale}`
+                : `[Merged from ${source.request_id}] ${sourceRationale}`;
+        }
+    });
+
+    return {
+        requestor_name: combineListValues(all.map(row => row.requestor_name)).join(', '),
+        stakeholder: stakeholders.length > 0 ? stakeholders.join(', ') : null,
+        // Taxonomy order first; values no longer in the taxonomy keep their place at the end
+        who_benefits: [
+            ...whoBenefitsOrder.filter(value => whoBenefits.includes(value)),
+            ...whoBenefits.filter(value => !whoBenefitsOrder.includes(value))
+        ].join(', '),
+        rationale: rationale || 'Not specified',
+        link_to_document: target.link_to_document || sources.map(source => source.link_to_document).find(link => link) || null
+    };
+}
+
+// Fold one or more duplicate requests into a surviving request
+app.post('/api/enhancements/:id/merge', authMiddleware, requirePermission('enhancement:merge'), async (req, res) => {
+    try {
+        const targetId = parseInt(req.params.id, 10);
+        const { sourceIds } = req.body || {};
+
+        const uniqueSourceIds = Array.isArray(sourceIds) ? [...new Set(sourceIds.map(id => parseInt(id, 10)))] : [];
+        if (uniqueSourceIds.length === 0 || uniqueSourceIds.some(id => !Number.isInteger(id) || id <= 0)) {
+            return res.status(400).json({ error: 'sourceIds must be a non-empty array of enhancement IDs' });
+        }
+        if (uniqueSourceIds.includes(targetId)) {
+            return res.status(400).json({ error: 'A request cannot be merged into itself' });
+        }
+        if (uniqueSourceIds.length > MAX_MERGE_SOURCES) {
+            return res.status(400).json({ error: `At most ${MAX_MERGE_SOURCES} requests can be merged at once` });
+        }
+
+        const { version: expectedVersion, error: ifMatchError } = parseIfMatch(req);
+        if (ifMatchError) {
+            return res.status(400).json({ error: ifMatchError });
+        }
+
+        const { data: target, error: targetError } = await db
+            .from('enhancements')
+            .select('*')
+            .eq('id', targetId)
+            .is('deleted_at', null)
+            .single();
+
+        if (targetError) {
+            if (targetError.code === 'PGRST116') {
+                return res.status(404).json({ error: 'Target enhancement not found' });
+            }
+            throw targetError;
+        }
+
+        if (expectedVersion !== null && target.version != null && target.version !== expectedVersion) {
+            return res.status(409).json(buildVersionConflict(target, expectedVersion));
+        }
+
+        const { data: sources, error: sourcesError } = await db
+            .from('enhancements')
+            .select('*')
+            .in('id', uniqueSourceIds)
+            .is('deleted_at', null);
+
+        if (sourcesError) {
+            throw sourcesError;
+        }
+
+        const foundIds = new Set(sources.map(source => source.id));
+        const missingIds = uniqueSourceIds.filter(id => !foundIds.has(id));
+        if (missingIds.length > 0) {
+            return res.status(404).json({ error: 'Some requests to merge were not found', missingIds });
+        }
+
+        const mergedFields = buildMergedFields(target, sources, (await getTaxonomy()).whoBenefits.values);
+        const { data: merged, error: mergeError } = await updateEnhancementIfCurrent(
+            targetId,
+            { ...mergedFields, updated_at: new Date().toISOString() },
+            target,
+            expectedVersion
+        );
+
+        if (mergeError) {
+            if (mergeError.code === 'PGRST116') {
+                return sendUpdateMiss(res, targetId, expectedVersion);
+            }
+            throw mergeError;
+        }
+
+        await recordEnhancementHistory({
+            enhancementId: merged.id,
+            action: 'merge',
+            before: target,
+            after: merged,
+            actor: getActor(req)
+        });
+
+        // Merged requests leave the active list but keep their request IDs as aliases of the target
+        const { data: mergedSources, error: sourceUpdateError } = await db
+            .from('enhancements')
+            .update({
+                deleted_at: new Date().toISOString(),
+                deleted_by: req.user.id,
+                merged_into: targetId
+            })
+            .in('id', uniqueSourceIds)
+            .is('deleted_at', null)
+            .select();
+
+        if (sourceUpdateError) {
+            throw sourceUpdateError;
+        }
+
+        for (const source of mergedSources) {
+            await recordEnhancementHistory({
+                enhancementId: source.id,
+                action: 'merge',
+                before: sources.find(original => original.id === source.id),
+                after: source,
+                actor: getActor(req)
+            });
+        }
+
+        // Requests previously merged into a source now point straight at the new target
+        const { error: repointError } = await db
+            .from('enhancements')
+            .update({ merged_into: targetId })
+            .in('merged_into', uniqueSourceIds);
+
+        if (repointError) {
+            console.error('⚠️ Failed to re-point earlier merges:', repointError.message);
+        }
+
+        const mergedRequestIds = mergedSources.map(source => source.request_id);
+        console.log(`🔗 User ${req.user.id} merged ${mergedRequestIds.join(', ')} into ${merged.request_id}`);
+
+        const etag = enhancementETag(merged);
+        if (etag) {
+            res.set('ETag', etag);
+        }
+        res.json({
+            message: `Merged ${mergedRequestIds.join(', ')} into ${merged.request_id}`,
+            mergedRequestIds,
+            data: transformEnhancement(merged)
+        });
+    } catch (error) {
+        console.error('Error merging enhancements:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get the links of an enhancement
+app.get('/api/enhancements/:id/links', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: enhancement, error: fetchError } = await db
+            .from('enhancements')
+            .select('id, request_id, status')
+            .eq('id', id)
+            .is('deleted_at', null)
+            .single();
+
+        if (fetchError) {
+            if (fetchError.code === 'PGRST116') {
+                return res.status(404).json({ error: 'Enhancement not found' });
+            }
+            throw fetchError;
+        }
+
+        const summaries = await loadLinkSummaries([enhancement]);
+        res.json(summaries.get(enhancement.id));
+    } catch (error) {
+        console.error('Error fetching enhancement links:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Link an enhancement to another one
+app.post('/api/enhancements/:id/links', authMiddleware, requirePermission('enhancement:update:own'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        const { type, targetId } = req.body || {};
+
+        if (!Object.prototype.hasOwnProperty.call(LINK_DIRECTIONS, type)) {
+            return res.status(400).json({
+                error: `Invalid link type "${type}". Must be one of: ${Object.keys(LINK_DIRECTIONS).join(', ')}`
+            });
+        }
+
+        const otherId = parseInt(targetId, 10);
+        if (!Number.isInteger(otherId) || otherId <= 0) {
+            return res.status(400).json({ error: 'targetId must be an enhancement ID' });
+        }
+        if (otherId === id) {
+            return res.status(400).json({ error: 'A request cannot be linked to itself' });
+        }
+
+        const { data: rows, error: fetchError } = await db
+            .from('enhancements')
+            .select('id, request_id, created_by')
+            .in('id', [id, otherId])
+            .is('deleted_at', null);
+
+        if (fetchError) {
+            throw fetchError;
+        }
+        if (rows.length !== 2) {
+            return res.status(404).json({ error: 'Enhancement not found' });
+        }
+
+        // Owners may link their own requests to anything; triagers and admins may link any requests
+        const ownsEither = rows.some(row => row.created_by && row.created_by === req.user.id);
+        if (!hasPermission(req, 'enhancement:update:any') && !ownsEither) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                code: 'INSUFFICIENT_PERMISSIONS',
+                message: `Your role (${req.role}) only allows linking requests you submitted`,
+                role: req.role
+            });
+        }
+
+        const { linkType, reverse } = LINK_DIRECTIONS[type];
+        const sourceId = reverse ? otherId : id;
+        const destinationId = reverse ? id : otherId;
+        const requestIdOf = rowId => rows.find(row => row.id === rowId).request_id;
+
+        // relates_to is symmetric, so a link in either direction already covers it
+        let existingQuery = db
+            .from('enhancement_links')
+            .select('id, source_id, target_id')
+            .eq('link_type', linkType);
+        existingQuery = linkType === 'relates_to'
+            ? existingQuery.or(`and(source_id.eq.${sourceId},target_id.eq.${destinationId}),and(source_id.eq.${destinationId},target_id.eq.${sourceId})`)
+            : existingQuery.eq('source_id', sourceId).eq('target_id', destinationId);
+
+        const { data: existingLinks, error: existingError } = await existingQuery;
+        if (existingError) {
+            throw existingError;
+        }
+        if (existingLinks.length > 0) {
+            return res.status(409).json({ error: 'These requests are already linked this way', code: 'LINK_EXISTS' });
+        }
+
+        if (linkType === 'parent_of') {
+            const { data: parents, error: parentError } = await db
+                .from('enhancement_links')
+                .select('source_id')
+                .eq('link_type', 'parent_of')
+                .eq('target_id', destinationId);
+
+            if (parentError) {
+                throw parentError;
+            }
+            if (parents.length > 0) {
+                return res.status(409).json({
+                    error: `${requestIdOf(destinationId)} already has a parent. Remove that link first.`,
+                    code: 'PARENT_EXISTS'
+                });
+            }
+        }
+
+        if (linkType === 'blocks' || linkType === 'parent_of') {
+            const cycle = await findLinkCycle(linkType, sourceId, destinationId);
+            if (cycle) {
+                const { data: cycleRows } = await db.from('enhancements').select('id, request_id').in('id', cycle);
+                const label = cycleId => (cycleRows || []).find(row => row.id === cycleId)?.request_id || `#${cycleId}`;
+                const path = [...cycle, destinationId].map(label).join(' → ');
+                console.log(`❌ Rejected ${linkType} link ${sourceId} -> ${destinationId}: cycle ${path}`);
+                return res.status(409).json({
+                    error: 'Link would create a cycle',
+                    code: 'LINK_CYCLE',
+                    message: `${requestIdOf(sourceId)} cannot ${linkType === 'blocks' ? 'block' : 'be the parent of'} ${requestIdOf(destinationId)}: ${path}`,
+                    cycle: [...cycle, destinationId]
+                });
+            }
+        }
+
+        const { data: link, error: insertError } = await db
+            .from('enhancement_links')
+            .insert([{ source_id: sourceId, target_id: destinationId, link_type: linkType, created_by: req.user.id }])
+            .select()
+            .single();
+
+        if (insertError) {
+            throw insertError;
+        }
+
+        console.log(`🔗 ${requestIdOf(sourceId)} ${linkType} ${requestIdOf(destinationId)} (by ${req.user.id})`);
+        res.status(201).json({
+            message: 'Link created',
+            link: {
+                id: link.id,
+                sourceId: link.source_id,
+                targetId: link.target_id,
+                linkType: link.link_type,
+                createdAt: link.created_at
+            }
+        });
+    } catch (error) {
+        console.error('Error creating enhancement link:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Remove a link
+app.delete('/api/enhancements/:id/links/:linkId', authMiddleware, requirePermission('enhancement:update:own'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        const { linkId } = req.params;
+
+        if (!Number.isInteger(id)) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+
+        const { data: link, error: fetchError } = await db
+            .from('enhancement_links')
+            .select('*')
+            .eq('id', linkId)
+            .or(`source_id.eq.${id},target_id.eq.${id}`)
+            .single();
+
+        if (fetchError) {
+            if (fetchError.code === 'PGRST116') {
+                return res.status(404).json({ error: 'Link not found' });
+            }
+            throw fetchError;
+        }
+
+        if (!hasPermission(req, 'enhancement:update:any')) {
+            const { data: owned, error: ownerError } = await db
+                .from('enhancements')
+                .select('id')
+                .in('id', [link.source_id, link.target_id])
+                .eq('created_by', req.user.id);
+
+            if (ownerError) {
+                throw ownerError;
+            }
+            if (owned.length === 0) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    code: 'INSUFFICIENT_PERMISSIONS',
+                    message: `Your role (${req.role}) only allows unlinking requests you submitted`,
+                    role: req.role
+                });
+            }
+        }
+
+        const { error } = await db
+            .from('enhancement_links')
+            .delete()
+            .eq('id', link.id);
+
+        if (error) {
+            throw error;
+        }
+
+        console.log(`✂️ Removed ${link.link_type} link ${link.source_id} -> ${link.target_id} (by ${req.user.id})`);
+        res.json({ message: 'Link removed' });
+    } catch (error) {
+        console.error('Error removing enhancement link:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Comments
+const MAX_COMMENT_LENGTH = 5000;
+const MENTION_PATTERN = /(^|[^\w.@])@([A-Za-z0-9._%+-]+(?:@[A-Za-z0-9.-]+\.[A-Za-z]{2,})?)/g;
+
+/**
+ * Transform a comment row for the API, hiding the text of deleted comments
+ * @param {Object} comment - Database row
+ * @returns {Object} camelCase comment
+ */
+function transformComment(comment) {
+    const deleted = !!comment.deleted_at;
+    return {
+        id: comment.id,
+        enhancementId: comment.enhancement_id,
+        parentId: comment.parent_id,
+        authorId: comment.author_id,
+        authorName: comment.author_name,
+        body: deleted ? null : comment.body,
+        createdAt: comment.created_at,
+        updatedAt: comment.updated_at,
+        edited: !deleted && comment.updated_at !== comment.created_at,
+        deleted
+    };
+}
+
+/**
+ * Extract @mention handles from comment text (@jane, @jane.doe or @jane@example.com)
+ * @param {string} body - Comment text
+ * @returns {string[]} Lowercased unique handles
+ */
+function extractMentions(body) {
+    const handles = new Set();
+    for (const match of String(body).matchAll(MENTION_PATTERN)) {
+        handles.add(match[2].replace(/\.+$/, '').toLowerCase());
+    }
+    return [...handles];
+}
+
+/**
+ * Resolve @mention handles to users by full email address or the part before the @
+ * @param {string[]} handles - Handles from extractMentions
+ * @returns {Promise<Object[]>} Matched users: { id, email }
+ */
+async function resolveMentions(handles) {
+    if (handles.length === 0) {
+        return [];
+    }
+
+    // The auth user list needs the service role key; fall back to users with an assigned role
+    let users = [];
+    const { data, error } = await db.auth.admin.listUsers({ page: 1, perPage: 1000 });
+    if (!error && data && data.users) {
+        users = data.users.map(user => ({ id: user.id, email: user.email }));
+    } else {
+        const { data: roleRows, error: rolesError } = await db.from('user_roles').select('user_id, email');
+        if (rolesError) {
+            throw rolesError;
+        }
+        users = (roleRows || []).map(row => ({ id: row.user_id, email: row.email }));
+    }
+
+    return users.filter(user => {
+        if (!user.email) return false;
+        const email = user.email.toLowerCase();
+        return handles.includes(email) || handles.includes(email.split('@')[0]);
+    });
+}
+
+/**
+ * Store a mention notification for every user mentioned in a comment who has not been notified yet.
+ * Failures are logged and never block the comment itself.
+ * @param {Object} comment - Comment row
+ * @param {Object} actor - { id, name } of the author
+ * @returns {Promise<string[]>} Emails of newly notified users
+ */
+async function notifyMentions(comment, actor) {
+    try {
+        const mentioned = (await resolveMentions(extractMentions(comment.body)))
+            .filter(user => user.id !== actor.id);
+        if (mentioned.length === 0) {
+            return [];
+        }
+
+        const { data, error } = await db
+            .from('notifications')
+            .upsert(mentioned.map(user => ({
+                user_id: user.id,
+                type: 'mention',
+                enhancement_id: comment.enhancement_id,
+                comment_id: comment.id,
+                actor_id: actor.id,
+                actor_name: actor.name
+            })), { onConflict: 'user_id,comment_id,type', ignoreDuplicates: true })
+            .select('user_id');
+
+        if (error) {
+            throw error;
+        }
+
+        const notifiedIds = new Set((data || []).map(row => row.user_id));
+        const notified = mentioned.filter(user => notifiedIds.has(user.id)).map(user => user.email);
+        if (notified.length > 0) {
+            console.log(`🔔 Comment ${comment.id} mentions ${notified.join(', ')}`);
+        }
+        return notified;
+    } catch (error) {
+        console.error(`❌ Failed to record mentions for comment ${comment.id}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Validate comment text from a request body
+ * @param {*} body - Submitted text
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCommentBody(body) {
+    if (typeof body !== 'string' || body.trim() === '') {
+        return 'Comment text is required';
+    }
+    if (body.length > MAX_COMMENT_LENGTH) {
+        return `Comments are limited to ${MAX_COMMENT_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Load a comment that belongs to an enhancement
+ * @param {string} enhancementId - Enhancement ID from the URL
+ * @param {string} commentId - Comment ID from the URL
+ * @returns {Promise<Object|null>} Comment row, or null if not found
+ */
+async function findComment(enhancementId, commentId) {
+    const { data, error } = await db
+        .from('enhancement_comments')
+        .select('*')
+        .eq('id', commentId)
+        .eq('enhancement_id', enhancementId)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+    return data;
+}
+
+// List the comments of an enhancement as threads (oldest first, replies nested under their parent)
+app.get('/api/enhancements/:id/comments', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data, error } = await db
+            .from('enhancement_comments')
+            .select('*')
+            .eq('enhancement_id', id)
+            .order('created_at', { ascending: true })
+            .order('id', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        const threads = [];
+        const byId = new Map();
+        (data || []).forEach(row => {
+            const comment = { ...transformComment(row), replies: [] };
+            byId.set(comment.id, comment);
+            const parent = comment.parentId ? byId.get(comment.parentId) : null;
+            if (parent) {
+                parent.replies.push(comment);
+            } else {
+                threads.push(comment);
+            }
+        });
+
+        // Deleted comments only stay visible as placeholders for the replies under them
+        res.json(threads.filter(thread => !thread.deleted || thread.replies.some(reply => !reply.deleted))
+            .map(thread => ({ ...thread, replies: thread.replies.filter(reply => !reply.deleted) })));
+    } catch (error) {
+        console.error('Error fetching comments:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add a comment, or a reply when parentId is given
+app.post('/api/enhancements/:id/comments', authMiddleware, requirePermission('comment:create'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { body, parentId } = req.body || {};
+
+        const bodyError = validateCommentBody(body);
+        if (bodyError) {
+            return res.status(400).json({ error: bodyError });
+        }
+
+        const { data: enhancement, error: fetchError } = await db
+            .from('enhancements')
+            .select('id')
+            .eq('id', id)
+            .is('deleted_at', null)
+            .single();
+
+        if (fetchError) {
+            if (fetchError.code === 'PGRST116') {
+                return res.status(404).json({ error: 'Enhancement not found' });
+            }
+            throw fetchError;
+        }
+
+        // Threads are one level deep: a reply to a reply joins the top-level comment's thread
+        let threadId = null;
+        if (parentId !== undefined && parentId !== null) {
+            const parent = await findComment(enhancement.id, parentId);
+            if (!parent || parent.deleted_at) {
+                return res.status(404).json({ error: 'Comment to reply to not found' });
+            }
+            threadId = parent.parent_id || parent.id;
+        }
+
+        const actor = getActor(req);
+        const { data: comment, error } = await db
+            .from('enhancement_comments')
+            .insert([{
+                enhancement_id: enhancement.id,
+                parent_id: threadId,
+                author_id: actor.id,
+                author_name: actor.name,
+                body: body.trim()
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        const mentioned = await notifyMentions(comment, actor);
+        res.status(201).json({ ...transformComment(comment), mentioned });
+    } catch (error) {
+        console.error('Error creating comment:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Edit a comment (author only)
+app.put('/api/enhancements/:id/comments/:commentId', authMiddleware, requirePermission('comment:create'), async (req, res) => {
+    try {
+        const { id, commentId } = req.params;
+        const { body } = req.body || {};
+
+        const bodyError = validateCommentBody(body);
+        if (bodyError) {
+            return res.status(400).json({ error: bodyError });
+        }
+
+        const existing = await findComment(id, commentId);
+        if (!existing || existing.deleted_at) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        if (existing.author_id !== req.user.id) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                code: 'NOT_COMMENT_AUTHOR',
+                message: 'Only the author can edit a comment'
+            });
+        }
+
+        const { data: comment, error } = await db
+            .from('enhancement_comments')
+            .update({ body: body.trim(), updated_at: new Date().toISOString() })
+            .eq('id', existing.id)
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        // Only people newly mentioned by the edit are notified
+        const mentioned = await notifyMentions(comment, getActor(req));
+        res.json({ ...transformComment(comment), mentioned });
+    } catch (error) {
+        console.error('Error updating comment:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete a comment (author, or an admin moderating)
+app.delete('/api/enhancements/:id/comments/:commentId', authMiddleware, requirePermission('comment:create'), async (req, res) => {
+    try {
+        const { id, commentId } = req.params;
+
+        const existing = await findComment(id, commentId);
+        if (!existing || existing.deleted_at) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        if (existing.author_id !== req.user.id && !hasPermission(req, 'comment:moderate')) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                code: 'NOT_COMMENT_AUTHOR',
+                message: 'Only the author can delete a comment'
+            });
+        }
+
+        // Soft delete keeps the thread together when the comment has replies
+        const { error } = await db
+            .from('enhancement_comments')
+            .update({ deleted_at: new Date().toISOString() })
+            .eq('id', existing.id);
+
+        if (error) {
+            throw error;
+        }
+
+        console.log(`🗑️ Comment ${existing.id} on enhancement ${id} deleted by ${req.user.id}`);
+        res.json({ message: 'Comment deleted' });
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Votes
+const MAX_VOTE_TEXT_LENGTH = 500;
+
+/**
+ * Transform a vote row for the API
+ * @param {Object} vote - Database row
+ * @returns {Object} camelCase vote
+ */
+function transformVote(vote) {
+    return {
+        id: vote.id,
+        enhancementId: vote.enhancement_id,
+        userId: vote.user_id,
+        userName: vote.user_name,
+        note: vote.note,
+        customer: vote.customer,
+        createdAt: vote.created_at
+    };
+}
+
+// List the votes on an enhancement (newest first)
+app.get('/api/enhancements/:id/votes', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        const { data, error } = await db
+            .from('enhancement_votes')
+            .select('*')
+            .eq('enhancement_id', req.params.id)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        const votes = (data || []).map(transformVote);
+        res.json({
+            voteCount: votes.length,
+            hasVoted: votes.some(vote => vote.userId === req.user.id),
+            customers: combineListValues(votes.map(vote => vote.customer)),
+            votes
+        });
+    } catch (error) {
+        console.error('Error fetching votes:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// +1 an enhancement (once per user), optionally with a note and the customer asking for it
+app.post('/api/enhancements/:id/votes', authMiddleware, requirePermission('enhancement:vote'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { note, customer } = req.body || {};
+
+        for (const [field, value] of Object.entries({ note, customer })) {
+            if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > MAX_VOTE_TEXT_LENGTH)) {
+                return res.status(400).json({ error: `${field} must be text of at most ${MAX_VOTE_TEXT_LENGTH} characters` });
+            }
+        }
+
+        const { data: enhancement, error: fetchError } = await db
+            .from('enhancements')
+            .select('id, request_id')
+            .eq('id', id)
+            .is('deleted_at', null)
+            .single();
+
+        if (fetchError) {
+            if (fetchError.code === 'PGRST116') {
+                return res.status(404).json({ error: 'Enhancement not found' });
+            }
+            throw fetchError;
+        }
+
+        const actor = getActor(req);
+        const { data: vote, error } = await db
+            .from('enhancement_votes')
+            .insert([{
+                enhancement_id: enhancement.id,
+                user_id: actor.id,
+                user_name: actor.name,
+                note: note && note.trim() !== '' ? note.trim() : null,
+                customer: customer && customer.trim() !== '' ? customer.trim() : null
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            // Unique violation: this user already voted
+            if (error.code === '23505') {
+                return res.status(409).json({ error: 'You have already voted for this request', code: 'ALREADY_VOTED' });
+            }
+            throw error;
+        }
+
+        console.log(`👍 ${actor.name} voted for ${enhancement.request_id}${vote.customer ? ` (customer: ${vote.customer})` : ''}`);
+        res.status(201).json({ message: 'Vote recorded', vote: transformVote(vote) });
+    } catch (error) {
+        console.error('Error recording vote:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Withdraw the current user's vote
+app.delete('/api/enhancements/:id/votes', authMiddleware, requirePermission('enhancement:vote'), async (req, res) => {
+    try {
+        const { data, error } = await db
+            .from('enhancement_votes')
+            .delete()
+            .eq('enhancement_id', req.params.id)
+            .eq('user_id', req.user.id)
+            .select('id');
+
+        if (error) {
+            throw error;
+        }
+        if (!data || data.length === 0) {
+            return res.status(404).json({ error: 'You have not voted for this request' });
+        }
+
+        res.json({ message: 'Vote removed' });
+    } catch (error) {
+        console.error('Error removing vote:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Notifications for the current user (newest first)
+app.get('/api/notifications', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        let query = db
+            .from('notifications')
+            .select('*, enhancements(request_id, request_name)')
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false })
+            .limit(50);
+
+        if (req.query.unread === 'true') {
+            query = query.is('read_at', null);
+        }
+
+        const { data, error } = await query;
+        if (error) {
+            throw error;
+        }
+
+        res.json((data || []).map(row => ({
+            id: row.id,
+            type: row.type,
+            enhancementId: row.enhancement_id,
+            requestId: row.enhancements?.request_id || null,
+            requestName: row.enhancements?.request_name || null,
+            commentId: row.comment_id,
+            actorName: row.actor_name,
+            createdAt: row.created_at,
+            readAt: row.read_at
+        })));
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Mark a notification as read
+app.post('/api/notifications/:id/read', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        const { data, error } = await db
+            .from('notifications')
+            .update({ read_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+        if (!data) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        res.json({ message: 'Notification marked as read' });
+    } catch (error) {
+        console.error('Error updating notification:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Bulk actions - each action maps to the permission it needs and, for field changes, the PATCH field it sets
+const BULK_ACTIONS = {
+    status: { field: 'status', permission: 'enhancement:triage' },
+    priority: { field: 'priorityLevel', permission: 'enhancement:triage' },
+    area: { field: 'areaOfProduct', permission: 'enhancement:update:own' },
+    delete: { field: null, permission: 'enhancement:delete' }
+};
+const MAX_BULK_IDS = 200;
+
+/**
+ * Apply one bulk action to a single row. Never throws - failures are returned as the per-ID result.
+ * @param {Object} req - Express request (role already loaded)
+ * @param {Object|undefined} existing - Current row, or undefined if it was not found
+ * @param {number} id - Enhancement ID
+ * @param {string} action - Key of BULK_ACTIONS
+ * @param {Object} updateData - Validated column update for field actions
+ * @param {string} [reason] - Accepted/denied reason sent with a status change
+ * @returns {Promise<Object>} { id, requestId, success, error, code }
+ */
+async function applyBulkAction(req, existing, id, action, updateData, reason) {
+    if (!existing) {
+        return { id, success: false, error: 'Enhancement not found', code: 'NOT_FOUND' };
+    }
+
+    try {
+        if (action === 'delete') {
+            const { data, error } = await db
+                .from('enhancements')
+                .update({ deleted_at: new Date().toISOString(), deleted_by: req.user.id })
+                .eq('id', id)
+                .is('deleted_at', null)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            await recordEnhancementHistory({
+                enhancementId: data.id,
+                action: 'delete',
+                before: existing,
+                after: data,
+                actor: getActor(req)
+            });
+            return { id, requestId: data.request_id, success: true };
+        }
+
+        const changes = { ...updateData };
+        if (action === 'status' && reason !== undefined && reason !== null && String(reason).trim() !== '') {
+            changes.accepted_denied_reason = String(reason).trim();
+        }
+
+        const updateCheck = checkEnhancementUpdate(req, existing, {
+            status: changes.status,
+            priorityLevel: changes.priority_level,
+            acceptedDeniedReason: changes.accepted_denied_reason
+        });
+        if (updateCheck) {
+            return { id, requestId: existing.request_id, success: false, error: updateCheck.body.message, code: updateCheck.body.code };
+        }
+
+        changes.updated_at = new Date().toISOString();
+        const { data, error } = await updateEnhancementIfCurrent(id, changes, existing, null);
+        if (error) throw error;
+
+        await recordEnhancementHistory({
+            enhancementId: data.id,
+            action: 'update',
+            before: existing,
+            after: data,
+            actor: getActor(req)
+        });
+        return { id, requestId: data.request_id, success: true };
+    } catch (error) {
+        console.error(`Bulk ${action} failed for enhancement ${id}:`, error);
+        return { id, requestId: existing.request_id, success: false, error: error.message, code: 'UPDATE_FAILED' };
+    }
+}
+
+// Apply a status, priority, area or delete action to many requests at once
+app.post('/api/enhancements/bulk', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        const { ids, action, value, reason } = req.body || {};
+
+        if (!Object.prototype.hasOwnProperty.call(BULK_ACTIONS, action)) {
+            return res.status(400).json({
+                error: `Invalid action "${action}". Must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`
+            });
+        }
+
+        const uniqueIds = Array.isArray(ids) ? [...new Set(ids.map(id => parseInt(id, 10)))] : [];
+        if (uniqueIds.length === 0 || uniqueIds.some(id => !Number.isInteger(id) || id <= 0)) {
+            return res.status(400).json({ error: 'ids must be a non-empty array of enhancement IDs' });
+        }
+        if (uniqueIds.length > MAX_BULK_IDS) {
+            return res.status(400).json({ error: `A bulk action can change at most ${MAX_BULK_IDS} requests at once` });
+        }
+
+        const { field, permission } = BULK_ACTIONS[action];
+        if (!hasPermission(req, permission)) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                code: 'INSUFFICIENT_PERMISSIONS',
+                message: `Your role (${req.role}) does not allow the bulk ${action} action`,
+                role: req.role,
+                missingPermissions: [permission]
+            });
+        }
+
+        // Validate the new value once, the same way PATCH would
+        let updateData = {};
+        if (field) {
+            const { values, errors } = validateEnhancement({ [field]: value === undefined ? null : value }, await getEnhancementSchema(), { mode: 'update' });
+            if (errors.length > 0) {
+                return res.status(400).json({ error: errors[0].message, details: errors });
+            }
+            updateData = toColumns(values);
+        }
+
+        const { data: rows, error: fetchError } = await db
+            .from('enhancements')
+            .select('*')
+            .in('id', uniqueIds)
+            .is('deleted_at', null);
+
+        if (fetchError) {
+            throw fetchError;
+        }
+
+        const rowsById = new Map(rows.map(row => [row.id, row]));
+        const results = [];
+        for (const id of uniqueIds) {
+            results.push(await applyBulkAction(req, rowsById.get(id), id, action, updateData, reason));
+        }
+
+        const succeeded = results.filter(result => result.success).length;
+        console.log(`📦 Bulk ${action} by ${req.user.id}: ${succeeded} succeeded, ${results.length - succeeded} failed`);
+
+        res.json({
+            message: `Bulk ${action} completed: ${succeeded} succeeded, ${results.length - succeeded} failed`,
+            action,
+            succeeded,
+            failed: results.length - succeeded,
+            results
+        });
+    } catch (error) {
+        console.error('Error applying bulk action:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Prioritization Scoring
+// RICE and WSJF scores computed from the stored request fields and votes. Weights and the value of
+// each field option are saved in scoring_settings; GET /api/backlog/ranked can override them per call.
+
+const SCORING_MODELS = {
+    // reach^w * impact^w * confidence^w / effort^w
+    rice: { label: 'RICE', factors: ['reach', 'impact', 'confidence', 'effort'] },
+    // (businessValue*w + timeCriticality*w + riskReduction*w) / jobSize^w
+    wsjf: { label: 'WSJF', factors: ['businessValue', 'timeCriticality', 'riskReduction', 'jobSize'] }
+};
+
+const DEFAULT_SCORING_CONFIG = {
+    model: 'rice',
+    weights: {
+        reach: 1, impact: 1, confidence: 1, effort: 1,
+        businessValue: 1, timeCriticality: 1, riskReduction: 1, jobSize: 1
+    },
+    values: {
+        desireLevel: { 'Must-have': 3, 'Nice-to-have': 1 },
+        priorityLevel: { 'Critical': 8, 'High': 5, 'Medium': 3, 'Low': 1 },
+        difficultyLevel: { 'Simple': 1, 'Involved': 0.8, 'Complex': 0.5 },
+        whoBenefits: { 'Clients - procurement': 3, 'Clients - end users': 3, 'Suppliers': 2, 'Internal': 1 },
+        // Reach added per +1 vote
+        vote: 0.5,
+        // Man-days assumed when effort_level is not set
+        defaultEffort: 5
+    }
+};
+
+const MAX_SCORING_WEIGHT = 10;
+const SCORING_VALUE_MAPS = ['desireLevel', 'priorityLevel', 'difficultyLevel', 'whoBenefits'];
+
+/**
+ * Apply partial scoring settings on top of a full configuration
+ * @param {Object} base - Complete scoring configuration
+ * @param {Object} overrides - Partial { model, weights, values }
+ * @returns {Object} { config, errors } - errors is an array of { field, message }
+ */
+function mergeScoringConfig(base, overrides) {
+    const config = {
+        model: base.model,
+        weights: { ...base.weights },
+        values: { ...base.values }
+    };
+    SCORING_VALUE_MAPS.forEach(map => { config.values[map] = { ...base.values[map] }; });
+    const errors = [];
+    const isNumberIn = (value, min, max) => typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+
+    if (!overrides || typeof overrides !== 'object') {
+        return { config, errors };
+    }
+
+    if (overrides.model !== undefined) {
+        if (SCORING_MODELS[overrides.model]) {
+            config.model = overrides.model;
+        } else {
+            errors.push({ field: 'model', message: `model must be one of: ${Object.keys(SCORING_MODELS).join(', ')}` });
+        }
+    }
+
+    Object.entries(overrides.weights || {}).forEach(([factor, weight]) => {
+        if (!(factor in DEFAULT_SCORING_CONFIG.weights)) {
+            errors.push({ field: `weights.${factor}`, message: 'Unknown scoring factor' });
+        } else if (!isNumberIn(weight, 0, MAX_SCORING_WEIGHT)) {
+            errors.push({ field: `weights.${factor}`, message: `Weight must be a number between 0 and ${MAX_SCORING_WEIGHT}` });
+        } else {
+            config.weights[factor] = weight;
+        }
+    });
+
+    Object.entries(overrides.values || {}).forEach(([key, value]) => {
+        if (SCORING_VALUE_MAPS.includes(key)) {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push({ field: `values.${key}`, message: 'Must be an object of option -> number' });
+                return;
+            }
+            Object.entries(value).forEach(([option, number]) => {
+                if (!isNumberIn(number, 0, Infinity)) {
+                    errors.push({ field: `values.${key}.${option}`, message: 'Value must be a number of 0 or more' });
+                } else {
+                    config.values[key][option] = number;
+                }
+            });
+        } else if (key === 'vote' || key === 'defaultEffort') {
+            if (!isNumberIn(value, key === 'defaultEffort' ? 0.5 : 0, Infinity)) {
+                errors.push({ field: `values.${key}`, message: `${key} must be a number of ${key === 'defaultEffort' ? '0.5' : '0'} or more` });
+            } else {
+                config.values[key] = value;
+            }
+        } else {
+            errors.push({ field: `values.${key}`, message: 'Unknown scoring value' });
+        }
+    });
+
+    return { config, errors };
+}
+
+/**
+ * Load the saved scoring configuration, falling back to DEFAULT_SCORING_CONFIG
+ * @returns {Promise<Object>} { config, updatedBy, updatedAt }
+ */
+async function loadScoringConfig() {
+    const { data, error } = await db
+        .from('scoring_settings')
+        .select('*')
+        .eq('id', 'default')
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+
+    // Saved settings were validated on save; merging keeps factors added since then at their defaults
+    const { config } = mergeScoringConfig(DEFAULT_SCORING_CONFIG, data ? data.config : {});
+    return { config, updatedBy: data ? data.updated_by : null, updatedAt: data ? data.updated_at : null };
+}
+
+/**
+ * Read model/weights overrides from the query string (?model=wsjf&weights[effort]=0.5)
+ * @param {Object} params - req.query
+ * @returns {Object} Partial scoring configuration
+ */
+function parseScoringOverrides(params) {
+    const overrides = {};
+    if (params.model) {
+        overrides.model = String(params.model).toLowerCase();
+    }
+    if (params.weights && typeof params.weights === 'object') {
+        overrides.weights = {};
+        Object.entries(params.weights).forEach(([factor, weight]) => {
+            overrides.weights[factor] = weight === '' ? NaN : Number(weight);
+        });
+    }
+    return overrides;
+}
+
+/**
+ * Score an enhancement with the configured model
+ * @param {Object} row - Enhancement row
+ * @param {number} voteCount - Number of +1 votes
+ * @param {Object} config - Scoring configuration
+ * @returns {Object} { score, model, factors } - factors maps each factor to { input, value, weight }
+ */
+function scoreEnhancement(row, voteCount, config) {
+    const { values, weights } = config;
+    const lookup = (map, option, fallback) => (option && values[map][option] !== undefined ? values[map][option] : fallback);
+
+    const groups = (row.who_benefits || '').split(',').map(group => group.trim()).filter(group => group !== '');
+    const reach = groups.reduce((sum, group) => sum + lookup('whoBenefits', group, 0), 0) + voteCount * values.vote;
+    const effortDays = row.effort_level !== null && row.effort_level !== undefined && !isNaN(parseFloat(row.effort_level))
+        ? parseFloat(row.effort_level)
+        : values.defaultEffort;
+    // A zero-day estimate would divide by zero; treat anything below half a day as half a day
+    const effort = Math.max(effortDays, 0.5);
+
+    const inputs = {
+        reach: { input: { whoBenefits: row.who_benefits, votes: voteCount }, value: reach },
+        impact: { input: row.desire_level, value: lookup('desireLevel', row.desire_level, 1) },
+        // Unassessed difficulty is neutral
+        confidence: { input: row.difficulty_level, value: lookup('difficultyLevel', row.difficulty_level, 1) },
+        effort: { input: row.effort_level, value: effort },
+        businessValue: { input: row.desire_level, value: lookup('desireLevel', row.desire_level, 1) },
+        timeCriticality: { input: row.priority_level, value: lookup('priorityLevel', row.priority_level, 0) },
+        riskReduction: { input: { whoBenefits: row.who_benefits, votes: voteCount }, value: reach },
+        jobSize: { input: row.effort_level, value: effort }
+    };
+
+    const factors = {};
+    SCORING_MODELS[config.model].factors.forEach(factor => {
+        factors[factor] = { ...inputs[factor], weight: weights[factor] };
+    });
+
+    let score;
+    if (config.model === 'wsjf') {
+        const costOfDelay = ['businessValue', 'timeCriticality', 'riskReduction']
+            .reduce((sum, factor) => sum + factors[factor].value * factors[factor].weight, 0);
+        score = costOfDelay / Math.pow(factors.jobSize.value, factors.jobSize.weight);
+    } else {
+        score = ['reach', 'impact', 'confidence']
+            .reduce((product, factor) => product * Math.pow(factors[factor].value, factors[factor].weight), 1)
+            / Math.pow(factors.effort.value, factors.effort.weight);
+    }
+
+    return { score: Math.round(score * 100) / 100, model: config.model, factors };
+}
+
+// Get the scoring models, the default settings and the saved settings
+app.get('/api/backlog/scoring', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        const saved = await loadScoringConfig();
+        res.json({ models: SCORING_MODELS, defaults: DEFAULT_SCORING_CONFIG, maxWeight: MAX_SCORING_WEIGHT, ...saved });
+    } catch (error) {
+        console.error('Error fetching scoring settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Save scoring settings - the body is a partial { model, weights, values } applied on top of the saved settings
+app.put('/api/backlog/scoring', authMiddleware, requirePermission('enhancement:triage'), async (req, res) => {
+    try {
+        const { config: current } = await loadScoringConfig();
+        const body = req.body && req.body.reset === true ? null : req.body;
+        const { config, errors } = body ? mergeScoringConfig(current, body) : { config: DEFAULT_SCORING_CONFIG, errors: [] };
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', details: errors });
+        }
+
+        const actor = getActor(req);
+        const { data, error } = await db
+            .from('scoring_settings')
+            .upsert({ id: 'default', config, updated_by: actor.name, updated_at: new Date().toISOString() }, { onConflict: 'id' })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        console.log(`⚖️ Scoring settings updated by ${actor.name} (model: ${config.model})`);
+        res.json({ message: 'Scoring settings saved', config: data.config, updatedBy: data.updated_by, updatedAt: data.updated_at });
+    } catch (error) {
+        console.error('Error saving scoring settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Ranked backlog - requests in score order with a breakdown of each score
+// Query parameters:
+//   the filters of GET /api/enhancements   - without status, complete and rejected requests are left out
+//   model, weights[<factor>]               - override the saved settings for this call (e.g. to preview weights)
+//   page, pageSize                         - 1-based page number and page size (max MAX_PAGE_SIZE)
+// The total number of ranked rows is returned in the X-Total-Count header.
+app.get('/api/backlog/ranked', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        const { config: saved } = await loadScoringConfig();
+        const { config, errors } = mergeScoringConfig(saved, parseScoringOverrides(req.query));
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid scoring parameters', details: errors });
+        }
+
+        const pagination = parsePagination(req.query);
+        if (pagination.error) {
+            return res.status(400).json({ error: 'Invalid pagination parameters', details: pagination.error });
+        }
+
+        let query = db.from('enhancements').select('*').is('deleted_at', null);
+        const filtered = applyEnhancementFilters(query, req.query);
+        if (filtered.error) {
+            return res.status(400).json({ error: 'Invalid filter parameter', details: filtered.error });
+        }
+        query = filtered.query;
+        if (!req.query.status) {
+            query = query.not('status', 'in', '(complete,rejected)');
+        }
+
+        const { data, error } = await query;
+        if (error) {
+            throw error;
+        }
+
+        // Every matching row is scored; only the requested page is decorated with links and votes
+        const rows = data || [];
+        const votes = await loadVoteSummaries(rows.map(row => row.id), req.user.id);
+        const scored = rows
+            .map(row => ({ row, breakdown: scoreEnhancement(row, votes.get(row.id).voteCount, config) }))
+            .sort((a, b) => b.breakdown.score - a.breakdown.score || a.row.id - b.row.id);
+
+        const ranked = scored.map((entry, index) => ({ ...entry, rank: index + 1 }));
+        const page = pagination.range ? ranked.slice(pagination.range.from, pagination.range.to + 1) : ranked;
+        const items = await transformEnhancements(page.map(entry => entry.row), req.user.id);
+
+        res.set('X-Total-Count', String(ranked.length));
+        res.json({
+            model: config.model,
+            weights: Object.fromEntries(SCORING_MODELS[config.model].factors.map(factor => [factor, config.weights[factor]])),
+            total: ranked.length,
+            items: items.map((item, index) => ({
+                ...item,
+                rank: page[index].rank,
+                score: page[index].breakdown.score,
+                scoreBreakdown: page[index].breakdown
+            }))
+        });
+    } catch (error) {
+        console.error('Error ranking backlog:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Release Planning
+
+const RELEASE_STATUSES = ['planned', 'in_progress', 'released', 'cancelled'];
+// Releases that can still take work
+const OPEN_RELEASE_STATUSES = ['planned', 'in_progress'];
+// Only requests that have been approved (or have moved on from approved) can be scheduled
+const RELEASE_ASSIGNABLE_STATUSES = ['approved', 'development', 'testing', 'complete'];
+
+/**
+ * Validate release fields from a request body and convert them to columns
+ * @param {Object} body - { name, targetDate, status, capacity } (only the fields sent are checked)
+ * @param {boolean} isCreate - Whether name is required
+ * @returns {Object} { updateData, errors } - errors is an array of { field, message }
+ */
+function buildReleaseUpdate(body, isCreate) {
+    const updateData = {};
+    const errors = [];
+    const { name, targetDate, status, capacity } = body || {};
+
+    if (name !== undefined || isCreate) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            errors.push({ field: 'name', message: 'name is required' });
+        } else {
+            updateData.name = name.trim();
+        }
+    }
+    if (targetDate !== undefined) {
+        if (targetDate === null || targetDate === '') {
+            updateData.target_date = null;
+        } else if (typeof targetDate !== 'string' || !isValidDateString(targetDate)) {
+            errors.push({ field: 'targetDate', message: 'targetDate must be a date in YYYY-MM-DD format' });
+        } else {
+            updateData.target_date = targetDate;
+        }
+    }
+    if (status !== undefined) {
+        if (!RELEASE_STATUSES.includes(status)) {
+            errors.push({ field: 'status', message: `status must be one of: ${RELEASE_STATUSES.join(', ')}` });
+        } else {
+            updateData.status = status;
+        }
+    }
+    if (capacity !== undefined) {
+        const number = capacity === null || capacity === '' ? null : Number(capacity);
+        if (number !== null && (isNaN(number) || number < 0)) {
+            errors.push({ field: 'capacity', message: 'capacity must be a number of man-days (0 or more)' });
+        } else {
+            updateData.capacity = number;
+        }
+    }
+
+    return { updateData, errors };
+}
+
+/**
+ * Whether a scheduled item is overdue: not complete and past its own due date or its release's target date
+ * @param {Object} row - Enhancement row
+ * @param {Object} release - Release row
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function isReleaseItemOverdue(row, release, today) {
+    if (row.status === 'complete') {
+        return false;
+    }
+    const releasePassed = release.target_date && release.target_date < today && release.status !== 'released';
+    return Boolean((row.timeline && row.timeline < today) || releasePassed);
+}
+
+/**
+ * Summarise a release: effort against capacity and overdue items
+ * @param {Object} release - Release row
+ * @param {Object[]} items - Enhancement rows assigned to it
+ * @returns {Object} camelCase release with totals
+ */
+function summarizeRelease(release, items) {
+    const today = new Date().toISOString().split('T')[0];
+    const totalEffort = items.reduce((sum, row) => sum + (row.effort_level != null ? parseFloat(row.effort_level) || 0 : 0), 0);
+    const capacity = release.capacity != null ? parseFloat(release.capacity) : null;
+
+    return {
+        id: release.id,
+        name: release.name,
+        targetDate: release.target_date,
+        status: release.status,
+        capacity,
+        createdBy: release.created_by,
+        createdByName: release.created_by_name,
+        createdAt: release.created_at,
+        updatedAt: release.updated_at,
+        itemCount: items.length,
+        completedCount: items.filter(row => row.status === 'complete').length,
+        totalEffort,
+        unestimatedCount: items.filter(row => row.effort_level == null).length,
+        remainingCapacity: capacity !== null ? capacity - totalEffort : null,
+        overCapacity: capacity !== null && totalEffort > capacity,
+        overdueRequestIds: items.filter(row => isReleaseItemOverdue(row, release, today)).map(row => row.request_id)
+    };
+}
+
+/**
+ * Fetch a release by ID
+ * @param {string|number} id - Release ID
+ * @returns {Promise<Object|null>} Release row, or null when it does not exist
+ */
+async function findRelease(id) {
+    const { data, error } = await db.from('releases').select('*').eq('id', id).maybeSingle();
+    if (error) {
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Fetch the active enhancements assigned to some releases
+ * @param {number[]} releaseIds - Release IDs
+ * @returns {Promise<Object[]>} Enhancement rows
+ */
+async function loadReleaseItems(releaseIds) {
+    if (releaseIds.length === 0) {
+        return [];
+    }
+    const { data, error } = await db
+        .from('enhancements')
+        .select('*')
+        .in('release_id', releaseIds)
+        .is('deleted_at', null)
+        .order('id', { ascending: true });
+    if (error) {
+        throw error;
+    }
+    return data || [];
+}
+
+/**
+ * Set or clear the release of one enhancement and record it in the change history
+ * @param {Object} req - Express request (for the actor)
+ * @param {Object} existing - Enhancement row
+ * @param {number|null} releaseId - Release to assign, or null to unassign
+ * @returns {Promise<Object>} Updated row
+ */
+async function setEnhancementRelease(req, existing, releaseId) {
+    const { data, error } = await updateEnhancementIfCurrent(existing.id, {
+        release_id: releaseId,
+        updated_at: new Date().toISOString()
+    }, existing, null);
+    if (error) {
+        throw error;
+    }
+
+    await recordEnhancementHistory({
+        enhancementId: data.id,
+        action: 'update',
+        before: existing,
+        after: data,
+        actor: getActor(req)
+    });
+    return data;
+}
+
+// List releases (soonest target date first) with effort, capacity and overdue totals
+app.get('/api/releases', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        let query = db.from('releases').select('*');
+        if (req.query.status) {
+            const statuses = String(req.query.status).split(',').map(value => value.trim());
+            const invalid = statuses.filter(value => !RELEASE_STATUSES.includes(value));
+            if (invalid.length > 0) {
+                return res.status(400).json({ error: `Invalid status: ${invalid.join(', ')}. Must be one of: ${RELEASE_STATUSES.join(', ')}` });
+            }
+            query = query.in('status', statuses);
+        }
+
+        const { data, error } = await query
+            .order('target_date', { ascending: true, nullsFirst: false })
+            .order('id', { ascending: true });
+        if (error) {
+            throw error;
+        }
+
+        const releases = data || [];
+        const items = await loadReleaseItems(releases.map(release => release.id));
+        res.json(releases.map(release => summarizeRelease(release, items.filter(row => row.release_id === release.id))));
+    } catch (error) {
+        console.error('Error fetching releases:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get a release with its assigned enhancements
+app.get('/api/releases/:id', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        const release = await findRelease(req.params.id);
+        if (!release) {
+            return res.status(404).json({ error: 'Release not found' });
+        }
+
+        const rows = await loadReleaseItems([release.id]);
+        const today = new Date().toISOString().split('T')[0];
+        const items = await transformEnhancements(rows, req.user.id);
+        res.json({
+            ...summarizeRelease(release, rows),
+            items: items.map((item, index) => ({ ...item, overdue: isReleaseItemOverdue(rows[index], release, today) }))
+        });
+    } catch (error) {
+        console.error('Error fetching release:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create a release
+app.post('/api/releases', authMiddleware, requirePermission('release:manage'), async (req, res) => {
+    try {
+        const { updateData, errors } = buildReleaseUpdate(req.body, true);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', details: errors });
+        }
+
+        const { data, error } = await db
+            .from('releases')
+            .insert([{ ...updateData, created_by: req.user.id, created_by_name: getActor(req).name }])
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: `A release named "${updateData.name}" already exists`, code: 'RELEASE_EXISTS' });
+            }
+            throw error;
+        }
+
+        console.log(`🚀 Release ${data.name} created by ${getActor(req).name}`);
+        res.status(201).json({ message: 'Release created', data: summarizeRelease(data, []) });
+    } catch (error) {
+        console.error('Error creating release:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update a release - only the fields sent are changed
+app.patch('/api/releases/:id', authMiddleware, requirePermission('release:manage'), async (req, res) => {
+    try {
+        const { updateData, errors } = buildReleaseUpdate(req.body, false);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', details: errors });
+        }
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+
+        const { data, error } = await db
+            .from('releases')
+            .update({ ...updateData, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: `A release named "${updateData.name}" already exists`, code: 'RELEASE_EXISTS' });
+            }
+            throw error;
+        }
+        if (!data) {
+            return res.status(404).json({ error: 'Release not found' });
+        }
+
+        const items = await loadReleaseItems([data.id]);
+        res.json({ message: 'Release updated', data: summarizeRelease(data, items) });
+    } catch (error) {
+        console.error('Error updating release:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete a release - its enhancements become unscheduled
+app.delete('/api/releases/:id', authMiddleware, requirePermission('release:manage'), async (req, res) => {
+    try {
+        const { data, error } = await db
+            .from('releases')
+            .delete()
+            .eq('id', req.params.id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+        if (!data) {
+            return res.status(404).json({ error: 'Release not found' });
+        }
+
+        console.log(`🗑️ Release ${data.name} deleted by ${getActor(req).name}`);
+        res.json({ message: 'Release deleted' });
+    } catch (error) {
+        console.error('Error deleting release:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Assign enhancements to a release: { ids: [12, 31] }. Requests already in another release are moved.
+// Returns a per-ID results array like the bulk endpoint.
+app.post('/api/releases/:id/items', authMiddleware, requirePermission('release:manage'), async (req, res) => {
+    try {
+        const release = await findRelease(req.params.id);
+        if (!release) {
+            return res.status(404).json({ error: 'Release not found' });
+        }
+        if (!OPEN_RELEASE_STATUSES.includes(release.status)) {
+            return res.status(409).json({ error: `Release ${release.name} is ${release.status} and cannot take new work`, code: 'RELEASE_CLOSED' });
+        }
+
+        const { ids } = req.body || {};
+        const uniqueIds = Array.isArray(ids) ? [...new Set(ids.map(id => parseInt(id, 10)))] : [];
+        if (uniqueIds.length === 0 || uniqueIds.some(id => !Number.isInteger(id) || id <= 0)) {
+            return res.status(400).json({ error: 'ids must be a non-empty array of enhancement IDs' });
+        }
+        if (uniqueIds.length > MAX_BULK_IDS) {
+            return res.status(400).json({ error: `At most ${MAX_BULK_IDS} requests can be assigned at once` });
+        }
+
+        const { data: rows, error } = await db
+            .from('enhancements')
+            .select('*')
+            .in('id', uniqueIds)
+            .is('deleted_at', null);
+        if (error) {
+            throw error;
+        }
+        const rowsById = new Map((rows || []).map(row => [row.id, row]));
+
+        // Sequential so each history entry and failure is reported against its own request
+        const results = [];
+        for (const id of uniqueIds) {
+            const existing = rowsById.get(id);
+            if (!existing) {
+                results.push({ id, success: false, error: 'Enhancement not found', code: 'NOT_FOUND' });
+            } else if (!RELEASE_ASSIGNABLE_STATUSES.includes(existing.status)) {
+                results.push({ id, requestId: existing.request_id, success: false, error: `Only approved requests can be scheduled (status is ${existing.status})`, code: 'NOT_APPROVED' });
+            } else if (existing.release_id === release.id) {
+                results.push({ id, requestId: existing.request_id, success: true, movedFrom: null });
+            } else {
+                try {
+                    await setEnhancementRelease(req, existing, release.id);
+                    results.push({ id, requestId: existing.request_id, success: true, movedFrom: existing.release_id });
+                } catch (updateError) {
+                    console.error(`Assigning enhancement ${id} to release ${release.id} failed:`, updateError);
+                    results.push({ id, requestId: existing.request_id, success: false, error: updateError.message, code: 'UPDATE_FAILED' });
+                }
+            }
+        }
+
+        const succeeded = results.filter(result => result.success).length;
+        console.log(`🚀 ${succeeded}/${uniqueIds.length} request(s) assigned to release ${release.name}`);
+        res.json({
+            message: `${succeeded} of ${uniqueIds.length} request(s) assigned to ${release.name}`,
+            succeeded,
+            failed: uniqueIds.length - succeeded,
+            results
+        });
+    } catch (error) {
+        console.error('Error assigning release items:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Remove an enhancement from a release
+app.delete('/api/releases/:id/items/:enhancementId', authMiddleware, requirePermission('release:manage'), async (req, res) => {
+    try {
+        const { data: existing, error } = await db
+            .from('enhancements')
+            .select('*')
+            .eq('id', req.params.enhancementId)
+            .eq('release_id', req.params.id)
+            .is('deleted_at', null)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+        if (!existing) {
+            return res.status(404).json({ error: 'Enhancement is not in this release' });
+        }
+
+        await setEnhancementRelease(req, existing, null);
+        res.json({ message: `${existing.request_id} removed from the release` });
+    } catch (error) {
+        console.error('Error removing release item:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Release Notes
+
+// Order of the type headings inside each area; other types follow alphabetically
+const RELEASE_NOTE_TYPE_ORDER = ['New Feature', 'Enhancement (Feature)', 'Enhancement (UI)', 'Bug Fix'];
+
+/**
+ * Whether a request is flagged internal-only and so stays out of customer-facing release notes
+ * @param {Object} row - Enhancement row
+ * @returns {boolean}
+ */
+function isInternalOnly(row) {
+    return row.internal_only === true;
+}
+
+/**
+ * Find the completed enhancements for a release or for a completion date range
+ * @param {Object} source - { releaseId } or { from, to } (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Object|null>} { title, rows }, or null when the release does not exist
+ */
+async function loadReleaseNoteItems({ releaseId, from, to }) {
+    if (releaseId) {
+        const release = await findRelease(releaseId);
+        if (!release) {
+            return null;
+        }
+        const rows = (await loadReleaseItems([release.id])).filter(row => row.status === 'complete');
+        return { title: release.name, rows };
+    }
+
+    // completed_at is when the status last became complete (migration 019_completed_at); later edits do not
+    // move it, so the same range always gives the same requests
+    const endExclusive = new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000).toISOString();
+    const { data: rows, error } = await db
+        .from('enhancements')
+        .select('*')
+        .eq('status', 'complete')
+        .is('deleted_at', null)
+        .gte('completed_at', new Date(from).toISOString())
+        .lt('completed_at', endExclusive)
+        .order('id', { ascending: true });
+
+    if (error) {
+        throw error;
+    }
+
+    return { title: `${from} to ${to}`, rows: rows || [] };
+}
+
+/**
+ * Group release note rows by area of product, then by type of request
+ * @param {Object[]} rows - Completed enhancement rows
+ * @returns {Object[]} [{ area, types: [{ type, items: [{ id, requestId, name, description }] }] }]
+ */
+function groupReleaseNotes(rows) {
+    const areas = new Map();
+    rows.forEach(row => {
+        const area = row.area_of_product || 'Other';
+        const type = row.type_of_request || 'Other';
+        if (!areas.has(area)) {
+            areas.set(area, new Map());
+        }
+        if (!areas.get(area).has(type)) {
+            areas.get(area).set(type, []);
+        }
+        areas.get(area).get(type).push({
+            id: row.id,
+            requestId: row.request_id,
+            name: row.request_name,
+            description: row.request_description
+        });
+    });
+
+    const typeRank = type => {
+        const index = RELEASE_NOTE_TYPE_ORDER.indexOf(type);
+        return index === -1 ? RELEASE_NOTE_TYPE_ORDER.length : index;
+    };
+
+    return [...areas.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([area, types]) => ({
+            area,
+            types: [...types.entries()]
+                .sort(([a], [b]) => typeRank(a) - typeRank(b) || a.localeCompare(b))
+                .map(([type, items]) => ({ type, items }))
+        }));
+}
+
+/**
+ * Render grouped release notes as Markdown, HTML and plain text
+ * @param {string} title - Release name or date range
+ * @param {Object[]} groups - Output of groupReleaseNotes()
+ * @returns {Object} { markdown, html, text }
+ */
+function renderReleaseNotes(title, groups) {
+    const escape = value => String(value || '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const emptyNote = 'No customer-facing changes.';
+
+    const markdown = [`# Release Notes: ${title}`, ''];
+    const html = [`<h1>Release Notes: ${escape(title)}</h1>`];
+    const text = [`RELEASE NOTES: ${title}`, '='.repeat(`RELEASE NOTES: ${title}`.length), ''];
+
+    if (groups.length === 0) {
+        markdown.push(emptyNote, '');
+        html.push(`<p>${emptyNote}</p>`);
+        text.push(emptyNote, '');
+    }
+
+    groups.forEach(({ area, types }) => {
+        markdown.push(`## ${area}`, '');
+        html.push(`<h2>${escape(area)}</h2>`);
+        text.push(area, '-'.repeat(area.length), '');
+
+        types.forEach(({ type, items }) => {
+            markdown.push(`### ${type}`, '');
+            html.push(`<h3>${escape(type)}</h3>`, '<ul>');
+            text.push(`${type}:`);
+
+            items.forEach(item => {
+                const description = (item.description || '').trim().replace(/\s+/g, ' ');
+                markdown.push(`- **${item.name}** (${item.requestId})${description ? ` - ${description}` : ''}`);
+                html.push(`<li><strong>${escape(item.name)}</strong> (${escape(item.requestId)})${description ? ` - ${escape(description)}` : ''}</li>`);
+                text.push(`  * ${item.name} (${item.requestId})${description ? ` - ${description}` : ''}`);
+            });
+
+            markdown.push('');
+            html.push('</ul>');
+            text.push('');
+        });
+    });
+
+    return { markdown: markdown.join('\n'), html: html.join('\n'), text: text.join('\n') };
+}
+
+/**
+ * Validate the release notes source and build the notes
+ * @param {Object} params - { releaseId } or { from, to }
+ * @returns {Promise<Object>} { httpStatus, body } on invalid input, otherwise { notes, rows }
+ */
+async function buildReleaseNotes(params) {
+    const { releaseId, from, to } = params || {};
+
+    if (releaseId === undefined || releaseId === null || releaseId === '') {
+        if (typeof from !== 'string' || !isValidDateString(from) || typeof to !== 'string' || !isValidDateString(to)) {
+            return { httpStatus: 400, body: { error: 'Provide a releaseId, or from and to dates in YYYY-MM-DD format' } };
+        }
+        if (from > to) {
+            return { httpStatus: 400, body: { error: 'from must not be after to' } };
+        }
+    }
+
+    const source = await loadReleaseNoteItems({ releaseId, from, to });
+    if (!source) {
+        return { httpStatus: 404, body: { error: 'Release not found' } };
+    }
+
+    const included = source.rows.filter(row => !isInternalOnly(row));
+    const groups = groupReleaseNotes(included);
+    return {
+        rows: included,
+        notes: {
+            title: source.title,
+            itemCount: included.length,
+            skippedInternal: source.rows.filter(isInternalOnly).map(row => row.request_id),
+            groups,
+            ...renderReleaseNotes(source.title, groups)
+        }
+    };
+}
+
+// Preview release notes for a release (?releaseId=3) or for requests completed in a date range (?from=&to=)
+app.get('/api/release-notes', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        const result = await buildReleaseNotes(req.query);
+        if (result.httpStatus) {
+            return res.status(result.httpStatus).json(result.body);
+        }
+        res.json(result.notes);
+    } catch (error) {
+        console.error('Error generating release notes:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Generate release notes and set release_notes = true on every included request
+// Body: { releaseId } or { from, to }
+app.post('/api/release-notes/publish', authMiddleware, requirePermission('release:manage'), async (req, res) => {
+    try {
+        const result = await buildReleaseNotes(req.body);
+        if (result.httpStatus) {
+            return res.status(result.httpStatus).json(result.body);
+        }
+
+        const pending = result.rows.filter(row => !row.release_notes);
+        const failed = [];
+        for (const existing of pending) {
+            const { data, error } = await updateEnhancementIfCurrent(existing.id, {
+                release_notes: true,
+                updated_at: new Date().toISOString()
+            }, existing, null);
+
+            if (error) {
+                console.error(`Flagging release notes for ${existing.request_id} failed:`, error);
+                failed.push(existing.request_id);
+                continue;
+            }
+            await recordEnhancementHistory({
+                enhancementId: data.id,
+                action: 'update',
+                before: existing,
+                after: data,
+                actor: getActor(req)
+            });
+        }
+
+        const marked = pending.length - failed.length;
+        console.log(`📝 Release notes for ${result.notes.title}: ${marked} request(s) flagged by ${getActor(req).name}`);
+        res.json({
+            message: `${marked} request(s) marked as included in release notes`,
+            marked,
+            failed,
+            ...result.notes
+        });
+    } catch (error) {
+        console.error('Error publishing release notes:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Taxonomy management
+
+const MAX_TAXONOMY_VALUE_LENGTH = 100;
+// Request IDs are VARCHAR(20): prefix, dash and at least six digits
+const REQUEST_ID_PREFIX_PATTERN = /^[A-Z0-9]{1,10}$/;
+
+/**
+ * Transform a taxonomy row for the API
+ * @param {Object} row - Database row
+ * @returns {Object} camelCase value
+ */
+function transformTaxonomyValue(row) {
+    return {
+        id: row.id,
+        value: row.value,
+        sortOrder: row.sort_order,
+        active: row.active,
+        isDefault: row.is_default,
+        idPrefix: row.request_id_prefix || null
+    };
+}
+
+/**
+ * Count the requests (including those in the Trash) that use a taxonomy value
+ * @param {string} category - Taxonomy category
+ * @param {string} value - Value to look for
+ * @returns {Promise<number>} Number of requests
+ */
+async function countTaxonomyUsage(category, value) {
+    const { column, multiple } = TAXONOMY_CATEGORIES[category];
+
+    if (!multiple) {
+        const { count, error } = await db
+            .from('enhancements')
+            .select('id', { count: 'exact', head: true })
+            .eq(column, value);
+        if (error) {
+            throw error;
+        }
+        return count || 0;
+    }
+
+    // Comma-separated lists: narrow down with ilike, then match whole values
+    const { data, error } = await db
+        .from('enhancements')
+        .select(column)
+        .ilike(column, `%${value}%`);
+    if (error) {
+        throw error;
+    }
+    return (data || []).filter(row => (row[column] || '').split(',').map(item => item.trim()).includes(value)).length;
+}
+
+/**
+ * Check a taxonomy value name
+ * @param {string} category - Taxonomy category
+ * @param {*} value - Submitted value
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTaxonomyValue(category, value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        return 'value is required';
+    }
+    if (value.trim().length > MAX_TAXONOMY_VALUE_LENGTH) {
+        return `value must be at most ${MAX_TAXONOMY_VALUE_LENGTH} characters`;
+    }
+    if (TAXONOMY_CATEGORIES[category].multiple && value.includes(',')) {
+        return `${TAXONOMY_CATEGORIES[category].label} values cannot contain commas`;
+    }
+    return null;
+}
+
+/**
+ * Validate a request ID prefix (null clears it)
+ * @param {string} category - Taxonomy category
+ * @param {*} idPrefix - Submitted prefix
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateRequestIdPrefix(category, idPrefix) {
+    if (!TAXONOMY_CATEGORIES[category].idPrefix) {
+        return `${TAXONOMY_CATEGORIES[category].label} values cannot have a request ID prefix`;
+    }
+    if (idPrefix !== null && (typeof idPrefix !== 'string' || !REQUEST_ID_PREFIX_PATTERN.test(idPrefix))) {
+        return 'idPrefix must be 1 to 10 uppercase letters or digits (e.g. "SH"), or null';
+    }
+    return null;
+}
+
+/**
+ * Fetch a taxonomy value of a category by ID
+ * @param {string} category - Taxonomy category
+ * @param {string|number} id - Row ID
+ * @returns {Promise<Object|null>} Row, or null when it does not exist
+ */
+async function findTaxonomyValue(category, id) {
+    const { data, error } = await db
+        .from('taxonomy_values')
+        .select('*')
+        .eq('category', category)
+        .eq('id', id)
+        .maybeSingle();
+    if (error) {
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Clear the default flag of every other value in a category
+ * @param {string} category - Taxonomy category
+ * @param {number|null} keepId - Row that keeps (or gets) the flag
+ */
+async function clearTaxonomyDefault(category, keepId) {
+    let query = db.from('taxonomy_values').update({ is_default: false }).eq('category', category).eq('is_default', true);
+    if (keepId) {
+        query = query.neq('id', keepId);
+    }
+    const { error } = await query;
+    if (error) {
+        throw error;
+    }
+}
+
+/**
+ * Whether a value is the last active one of its category (categories must keep at least one)
+ * @param {Object} row - Taxonomy row being deactivated or deleted
+ * @returns {Promise<boolean>}
+ */
+async function isLastActiveTaxonomyValue(row) {
+    if (!row.active) {
+        return false;
+    }
+    const rows = await loadTaxonomyRows();
+    return rows.filter(other => other.category === row.category && other.active && other.id !== row.id).length === 0;
+}
+
+// Reject unknown categories for every /api/taxonomy/:category route
+app.param('category', (req, res, next, category) => {
+    if (!Object.prototype.hasOwnProperty.call(TAXONOMY_CATEGORIES, category)) {
+        return res.status(404).json({
+            error: `Unknown taxonomy category "${category}". Must be one of: ${Object.keys(TAXONOMY_CATEGORIES).join(', ')}`
+        });
+    }
+    next();
+});
+
+// Get the taxonomy (active values; ?includeInactive=true for admins managing it)
+app.get('/api/taxonomy', authMiddleware, requirePermission('enhancement:read'), async (req, res) => {
+    try {
+        const includeInactive = req.query.includeInactive === 'true' && hasPermission(req, 'taxonomy:manage');
+        const rows = await loadTaxonomyRows();
+
+        const categories = {};
+        Object.entries(TAXONOMY_CATEGORIES).forEach(([category, { label, multiple, idPrefix }]) => {
+            categories[category] = {
+                label,
+                multiple: !!multiple,
+                idPrefix: !!idPrefix,
+                values: rows
+                    .filter(row => row.category === category && (includeInactive || row.active))
+                    .map(transformTaxonomyValue)
+            };
+        });
+
+        res.json({ categories });
+    } catch (error) {
+        console.error('Error fetching taxonomy:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add a value to a category: { value, sortOrder, isDefault, idPrefix }
+app.post('/api/taxonomy/:category', authMiddleware, requirePermission('taxonomy:manage'), async (req, res) => {
+    try {
+        const { category } = req.params;
+        const { value, sortOrder, isDefault, idPrefix } = req.body || {};
+
+        const valueError = validateTaxonomyValue(category, value);
+        if (valueError) {
+            return res.status(400).json({ error: valueError });
+        }
+        if (sortOrder !== undefined && !Number.isInteger(sortOrder)) {
+            return res.status(400).json({ error: 'sortOrder must be a whole number' });
+        }
+        const prefixError = idPrefix !== undefined ? validateRequestIdPrefix(category, idPrefix) : null;
+        if (prefixError) {
+            return res.status(400).json({ error: prefixError });
+        }
+
+        // New values go to the end unless a position is given
+        const rows = (await loadTaxonomyRows()).filter(row => row.category === category);
+        const nextSortOrder = rows.reduce((max, row) => Math.max(max, row.sort_order), 0) + 1;
+
+        const { data, error } = await db
+            .from('taxonomy_values')
+            .insert([{
+                category,
+                value: value.trim(),
+                sort_order: sortOrder !== undefined ? sortOrder : nextSortOrder,
+                is_default: isDefault === true,
+                ...(idPrefix ? { request_id_prefix: idPrefix } : {})
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: `"${value.trim()}" already exists in ${TAXONOMY_CATEGORIES[category].label}`, code: 'VALUE_EXISTS' });
+            }
+            throw error;
+        }
+
+        if (data.is_default) {
+            await clearTaxonomyDefault(category, data.id);
+        }
+        invalidateTaxonomyCache();
+
+        console.log(`🏷️ ${TAXONOMY_CATEGORIES[category].label} value "${data.value}" added by ${getActor(req).name}`);
+        res.status(201).json({ message: 'Value added', data: transformTaxonomyValue(data) });
+    } catch (error) {
+        console.error('Error adding taxonomy value:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update a value: { value, sortOrder, active, isDefault, idPrefix }. Values in use cannot be renamed - deactivate them instead.
+// A new idPrefix applies to requests created from then on; existing request IDs keep their prefix.
+app.patch('/api/taxonomy/:category/:id', authMiddleware, requirePermission('taxonomy:manage'), async (req, res) => {
+    try {
+        const { category, id } = req.params;
+        const { value, sortOrder, active, isDefault, idPrefix } = req.body || {};
+
+        const existing = await findTaxonomyValue(category, id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Taxonomy value not found' });
+        }
+
+        const updateData = {};
+        if (value !== undefined && value !== existing.value) {
+            const valueError = validateTaxonomyValue(category, value);
+            if (valueError) {
+                return res.status(400).json({ error: valueError });
+            }
+            const usage = await countTaxonomyUsage(category, existing.value);
+            if (usage > 0) {
+                return res.status(409).json({
+                    error: `"${existing.value}" is used by ${usage} request(s) and cannot be renamed. Add the new value and deactivate this one instead.`,
+                    code: 'VALUE_IN_USE',
+                    usage
+                });
+            }
+            updateData.value = value.trim();
+        }
+        if (sortOrder !== undefined) {
+            if (!Number.isInteger(sortOrder)) {
+                return res.status(400).json({ error: 'sortOrder must be a whole number' });
+            }
+            updateData.sort_order = sortOrder;
+        }
+        if (active !== undefined) {
+            if (typeof active !== 'boolean') {
+                return res.status(400).json({ error: 'active must be true or false' });
+            }
+            if (!active && await isLastActiveTaxonomyValue(existing)) {
+                return res.status(409).json({ error: `${TAXONOMY_CATEGORIES[category].label} needs at least one active value`, code: 'LAST_VALUE' });
+            }
+            updateData.active = active;
+        }
+        if (isDefault !== undefined) {
+            if (typeof isDefault !== 'boolean') {
+                return res.status(400).json({ error: 'isDefault must be true or false' });
+            }
+            updateData.is_default = isDefault;
+        }
+        if (idPrefix !== undefined) {
+            const prefixError = validateRequestIdPrefix(category, idPrefix);
+            if (prefixError) {
+                return res.status(400).json({ error: prefixError });
+            }
+            updateData.request_id_prefix = idPrefix;
+        }
+        // An inactive value cannot be the default
+        if (updateData.active === false) {
+            updateData.is_default = false;
+        }
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+
+        const { data, error } = await db
+            .from('taxonomy_values')
+            .update({ ...updateData, updated_at: new Date().toISOString() })
+            .eq('id', existing.id)
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: `"${updateData.value}" already exists in ${TAXONOMY_CATEGORIES[category].label}`, code: 'VALUE_EXISTS' });
+            }
+            throw error;
+        }
+
+        if (data.is_default) {
+            await clearTaxonomyDefault(category, data.id);
+        }
+        invalidateTaxonomyCache();
+
+        res.json({ message: 'Value updated', data: transformTaxonomyValue(data) });
+    } catch (error) {
+        console.error('Error updating taxonomy value:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete a value that no request uses
+app.delete('/api/taxonomy/:category/:id', authMiddleware, requirePermission('taxonomy:manage'), async (req, res) => {
+    try {
+        const { category, id } = req.params;
+
+        const existing = await findTaxonomyValue(category, id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Taxonomy value not found' });
+        }
+
+        const usage = await countTaxonomyUsage(category, existing.value);
+        if (usage > 0) {
+            return res.status(409).json({
+                error: `"${existing.value}" is used by ${usage} request(s). Deactivate it instead so existing requests keep their value.`,
+                code: 'VALUE_IN_USE',
+                usage
+            });
+        }
+        if (await isLastActiveTaxonomyValue(existing)) {
+            return res.status(409).json({ error: `${TAXONOMY_CATEGORIES[category].label} needs at least one active value`, code: 'LAST_VALUE' });
+        }
+
+        const { error } = await db.from('taxonomy_values').delete().eq('id', existing.id);
+        if (error) {
+            throw error;
+        }
+        invalidateTaxonomyCache();
+
+        console.log(`🏷️ ${TAXONOMY_CATEGORIES[category].label} value "${existing.value}" deleted by ${getActor(req).name}`);
+        res.json({ message: 'Value deleted' });
+    } catch (error) {
+        console.error('Error deleting taxonomy value:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get the workflow state machine (used by the UI to offer only legal next statuses)
+app.get('/api/workflow/transitions', authMiddleware, requirePermission('workflow:read'), (req, res) => {
+    res.json({
+        transitions: STATUS_TRANSITIONS,
+        reasonRequired: REASON_REQUIRED_STATUSES
+    });
+});
+
+// Get workflow statistics
+app.get('/api/workflow/stats', authMiddleware, requirePermission('workflow:read'), async (req, res) => {
+    try {
+        const { data, error } = await db
+            .from('enhancements')
+            .select('status')
+            .not('status', 'is', null)
+            .is('deleted_at', null);
+
+        if (error) {
+            throw error;
+        }
+
+        // Count by status
+        const stats = data.reduce((acc, item) => {
+            acc[item.status] = (acc[item.status] || 0) + 1;
+            return acc;
+        }, {});
+
+        const result = Object.entries(stats).map(([status, count]) => ({
+            status,
+            count
+        }));
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error fetching workflow stats:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Slack Integration - Verify Slack request signature
+function verifySlackRequest(req) {
+    const slackSigningSecret = process.env.SLACK_SIGNING_SECRET;
+
+    console.log('🔐 Starting signature verification...');
+    console.log('Signing secret exists:', !!slackSigningSecret);
+    console.log('Signing secret length:', slackSigningSecret ? slackSigningSecret.length : 0);
+
+    if (!slackSigningSecret) {
+        console.error('❌ SLACK_SIGNING_SECRET not configured');
+        return false;
+    }
+
+    const slackSignature = req.headers['x-slack-signature'];
+    const timestamp = req.headers['x-slack-request-timestamp'];
+    const body = req.rawBody;
+
+    console.log('Slack Signature:', slackSignature);
+    console.log('Timestamp:', timestamp);
+    console.log('Raw Body exists:', !!body);
+    console.log('Raw Body length:', body ? body.length : 0);
+    console.log('Raw Body preview:', body ? body.substring(0, 100) : 'N/A');
+
+    if (!slackSignature || !timestamp) {
+        console.log('❌ Missing Slack signature or timestamp');
+        return false;
+    }
+
+    // Prevent replay attacks (ignore requests older than 5 minutes)
+    const now = Math.floor(Date.now() / 1000);
+    const timeDiff = Math.abs(now - parseInt(timestamp));
+    console.log('Time difference (seconds):', timeDiff);
+
+    if (timeDiff > 300) {
+        console.log('❌ Slack request timestamp too old');
+        return false;
+    }
+
+    // Calculate expected signature
+    const sigBasestring = `v0:${timestamp}:${body}`;
+    console.log('Signature base string:', sigBasestring.substring(0, 100) + '...');
+
+    const mySignature = 'v0=' + crypto
+        .createHmac('sha256', slackSigningSecret)
+        .update(sigBasestring, 'utf8')
+        .digest('hex');
+
+    console.log('Expected signature:', mySignature);
+    console.log('Received signature:', slackSignature);
+
+    // Use timing-safe comparison
+    const slackSigBuffer = Buffer.from(slackSignature, 'utf8');
+    const mySigBuffer = Buffer.from(mySignature, 'utf8');
+
+    if (slackSigBuffer.length !== mySigBuffer.length) {
+        console.log('❌ Slack signature length mismatch');
+        console.log('Expected length:', mySigBuffer.length);
+        console.log('Received length:', slackSigBuffer.length);
+        return false;
+    }
+
+    const isValid = crypto.timingSafeEqual(slackSigBuffer, mySigBuffer);
+    console.log(isValid ? '✅ Slack signature verified' : '❌ Slack signature invalid');
+    return isValid;
+}
+
+// Slack Test Endpoint - to verify Slack can reach the server
+app.get('/api/slack/test', (req, res) => {
+    res.json({
+        status: 'ok',
+        message: 'Slack endpoint is reachable',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Slack Webhook - Create enhancement from Slack message
+app.post('/api/slack/new-request', slackLimiter, async (req, res) => {
+    try {
+        console.log('📨 ========== SLACK WEBHOOK RECEIVED ==========');
+        console.log('Timestamp:', new Date().toISOString());
+        console.log('Headers:', JSON.stringify(req.headers, null, 2));
+        console.log('Body:', JSON.stringify(req.body, null, 2));
+        console.log('Raw Body:', req.rawBody);
+
+        // Verify Slack request signature
+        const isValid = verifySlackRequest(req);
+        console.log('Signature verification result:', isValid);
+
+        if (!isValid) {
+            console.log('❌ Slack signature verification failed');
+            return res.status(200).json({
+                response_type: 'ephemeral',
+                text: '❌ Request verification failed. Please contact admin.'
+            });
         }
 
-        const factorsData = await listResponse.json();
+        console.log('✅ Slack signature verified successfully');
 
-        // Find verified TOTP factors
-        const verifiedFactors = factorsData?.factors?.filter(f => f.factor_type === 'totp' && f.status === 'verified') || [];
+        // Extract Slack data
+        const { text, user_id, user_name, channel_name, channel_id } = req.body;
 
-        if (verifiedFactors.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'No MFA factors are currently enabled'
+        if (!text || text.trim() === '') {
+            return res.status(200).json({
+                response_type: 'ephemeral',
+                text: '❌ Please provide a description for your enhancement request.\nUsage: `/enhancement_request Your enhancement description here`'
             });
         }
 
-        // Unenroll all verified TOTP factors
-        for (const factor of verifiedFactors) {
-            const deleteResponse = await fetch(`${supabaseUrl}/auth/v1/admin/users/${userId}/factors/${factor.id}`, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${clientKey}`,
-                    'apikey': clientKey,
-                    'Content-Type': 'application/json'
-                }
-            });
+        // Defaults come from the values flagged as default in the taxonomy
+        const taxonomy = await getTaxonomy();
+        const defaultFor = category => taxonomy[category].defaultValue || taxonomy[category].values[0] || null;
 
-            if (!deleteResponse.ok) {
-                console.error(`Failed to unenroll factor ${factor.id}:`, await deleteResponse.text());
-            }
+        // Prepare enhancement data with smart defaults; effort and difficulty are filled in later
+        const { values, errors } = validateEnhancement({
+            requestName: `Slack Request: ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`,
+            requestDescription: text,
+            rationale: `Submitted via Slack by ${user_name || 'Unknown User'} (ID: ${user_id || 'N/A'}) - to be enriched`,
+            requestorName: user_name || 'Slack User',
+            dateOfRequest: new Date().toISOString().split('T')[0], // Today's date in YYYY-MM-DD
+            stakeholder: channel_name || null,
+            typeOfRequest: defaultFor('typeOfRequest'),
+            areaOfProduct: defaultFor('areaOfProduct'),
+            desireLevel: defaultFor('desireLevel'),
+            whoBenefits: defaultFor('whoBenefits'),
+            priorityLevel: defaultFor('priorityLevel')
+        }, buildEnhancementSchema(taxonomy));
+
+        if (errors.length > 0) {
+            console.log('❌ Slack request failed validation:', errors);
+            return res.status(200).json({
+                response_type: 'ephemeral',
+                text: `❌ The request could not be created: ${errors.map(e => e.message).join('; ')}`
+            });
         }
 
-        res.json({
-            success: true,
-            message: '2FA has been disabled for your account'
-        });
+        const enhancementData = {
+            ...toColumns(values),
+            status: 'submitted'
+        };
 
-    } catch (error) {
-        console.error('MFA Disable Error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to disable MFA',
-            details: error.message
-        });
-    }
-});
+        console.log('Inserting Slack enhancement:', enhancementData);
 
-// API Routes
+        const possibleDuplicates = await detectDuplicates({ name: text, description: text });
 
-// Get all enhancements
-app.get('/api/enhancements', authMiddleware, async (req, res) => {
-    try {
-        const { status, search } = req.query;
-        let query = supabase.from('enhancements').select('*');
+        // Insert into database; the request ID is assigned in the same insert
+        const { data: inserted, error } = await db
+            .from('enhancements')
+            .insert([enhancementData])
+            .select()
+            .single();
 
-        if (status) {
-            query = query.eq('status', status);
+        if (error) {
+            console.error('❌ Database error:', error);
+            return res.status(200).json({
+                response_type: 'in_channel',
+                text: `❌ Failed to create enhancement request: ${error.message}`
+            });
         }
 
-        if (search) {
-            query = query.or(`request_name.ilike.%${search}%,request_description.ilike.%${search}%,requestor_name.ilike.%${search}%`);
-        }
+        const data = await ensureRequestId(inserted);
+        const requestId = data.request_id;
 
-        query = query.order('created_at', { ascending: false });
+        await recordEnhancementHistory({
+            enhancementId: data.id,
+            action: 'slack',
+            before: null,
+            after: data,
+            actor: { id: user_id ? `slack:${user_id}` : null, name: user_name || 'Slack User' }
+        });
 
-        const { data, error } = await query;
+        console.log(`✅ Created enhancement ${requestId} from Slack`);
 
-        if (error) {
-            console.error('Supabase query error:', error);
-            throw error;
-        }
+        // Point at likely duplicates so they can be merged rather than triaged twice
+        const duplicateNote = possibleDuplicates.length > 0
+            ? `\n\n:warning: *Possible duplicates:*\n${possibleDuplicates.map(d => `• ${d.requestId} - ${d.requestName} (${d.status}, ${Math.round(d.score * 100)}% similar)`).join('\n')}`
+            : '';
+
+        // Respond to Slack - visible in channel
+        return res.status(200).json({
+            response_type: 'in_channel',
+            text: `:memo: Enhancement Request submitted by <@${user_name || user_id}>:\n>${text}\n\n✅ *Request ID:* ${requestId}\n_Note: This request has been created with default values. Please enrich it in the tracker webapp._${duplicateNote}`
+        });
 
-        console.log('Fetched enhancements:', data?.length || 0, 'records');
-        if (data && data.length > 0) {
-            console.log('Sample enhancement:', data[0]);
-        }
-        
-        // Transform database fields to frontend format
-        const transformedData = (data || []).map(enhancement => ({
-            id: enhancement.id,
-            requestId: enhancement.request_id,
-            requestName: enhancement.request_name,
-            requestDescription: enhancement.request_description,
-            rationale: enhancement.rationale,
-            requestorName: enhancement.requestor_name,
-            dateOfRequest: enhancement.date_of_request,
-            stakeholder: enhancement.stakeholder,
-            typeOfRequest: enhancement.type_of_request,
-            areaOfProduct: enhancement.area_of_product,
-            linkToDocument: enhancement.link_to_document,
-            desireLevel: enhancement.desire_level,
-            effortLevel: enhancement.effort_level != null ? parseFloat(enhancement.effort_level) : null,
-            difficultyLevel: enhancement.difficulty_level,
-            whoBenefits: enhancement.who_benefits,
-            status: enhancement.status,
-            priorityLevel: enhancement.priority_level,
-            acceptedDeniedReason: enhancement.accepted_denied_reason,
-            timeline: enhancement.timeline,
-            documentationUpdated: enhancement.documentation_updated,
-            storylanesUpdated: enhancement.storylanes_updated,
-            releaseNotes: enhancement.release_notes,
-            createdAt: enhancement.created_at,
-            updatedAt: enhancement.updated_at
-        }));
-        
-        res.json(transformedData);
     } catch (error) {
-        console.error('Error fetching enhancements:', error);
-        res.status(500).json({ error: error.message });
+        console.error('❌ Slack webhook error:', error);
+        return res.status(200).json({
+            response_type: 'in_channel',
+            text: `❌ An error occurred: ${error.message}`
+        });
     }
 });
 
-// Get enhancement by ID
-app.get('/api/enhancements/:id', authMiddleware, async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { data, error } = await supabase
+// Serve the main application
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Most request IDs looked up per query when an import updates existing requests
+const IMPORT_LOOKUP_BATCH_SIZE = 200;
+
+/**
+ * Read the import options from the query string (and the form fields of a CSV upload)
+ * - dryRun: validate every record and report what would be created or changed, without writing
+ * - upsert: a record with the request ID of an existing request updates that request instead of creating one
+ * - atomic: all or nothing - write nothing if any record fails, and undo the writes if one fails part-way
+ * @param {Object} params - Query parameters or form fields ('true' / '1' switch an option on)
+ * @returns {Object} { dryRun, upsert, atomic }
+ */
+function parseImportOptions(params) {
+    const isOn = value => value === true || value === 'true' || value === '1';
+    return {
+        dryRun: isOn(params.dryRun),
+        upsert: isOn(params.upsert),
+        atomic: isOn(params.atomic)
+    };
+}
+
+/**
+ * Load the requests that import records refer to by request ID, including deleted and merged ones
+ * @param {string[]} requestIds - Request IDs from the records
+ * @returns {Promise<Map>} request_id -> row
+ */
+async function loadImportTargets(requestIds) {
+    const unique = [...new Set(requestIds)];
+    const targets = new Map();
+
+    for (let i = 0; i < unique.length; i += IMPORT_LOOKUP_BATCH_SIZE) {
+        const { data, error } = await db
             .from('enhancements')
             .select('*')
-            .eq('id', id)
-            .single();
+            .in('request_id', unique.slice(i, i + IMPORT_LOOKUP_BATCH_SIZE));
 
         if (error) {
-            if (error.code === 'PGRST116') {
-                return res.status(404).json({ error: 'Enhancement not found' });
-            }
             throw error;
         }
+        data.forEach(row => targets.set(row.request_id, row));
+    }
+    return targets;
+}
 
-        // Transform database fields to frontend format
-        const transformedData = {
-            id: data.id,
-            requestName: data.request_name,
-            requestDescription: data.request_description,
-            rationale: data.rationale,
-            requestorName: data.requestor_name,
-            dateOfRequest: data.date_of_request,
-            stakeholder: data.stakeholder,
-            typeOfRequest: data.type_of_request,
-            areaOfProduct: data.area_of_product,
-            linkToDocument: data.link_to_document,
-            desireLevel: data.desire_level,
-            effortLevel: data.effort_level,
-            difficultyLevel: data.difficulty_level,
-            whoBenefits: data.who_benefits,
-            status: data.status,
-            priorityLevel: data.priority_level,
-            acceptedDeniedReason: data.accepted_denied_reason,
-            timeline: data.timeline,
-            documentationUpdated: data.documentation_updated,
-            storylanesUpdated: data.storylanes_updated,
-            releaseNotes: data.release_notes,
-            createdAt: data.created_at,
-            updatedAt: data.updated_at
-        };
+/**
+ * Undo the writes of an atomic import that failed part-way: created requests are deleted (with their
+ * history) and updated requests get their previous values back, unless someone has edited them since
+ * @param {Object[]} applied - Written entries of { action, row, before, columns }
+ * @param {Object} actor - Importing user, recorded on the restored values
+ * @returns {Promise<string[]>} Errors of the writes that could not be undone
+ */
+async function revertImport(applied, actor) {
+    const errors = [];
 
-        res.json(transformedData);
-    } catch (error) {
-        console.error('Error fetching enhancement:', error);
-        res.status(500).json({ error: error.message });
+    const createdIds = applied.filter(entry => entry.action === 'create').map(entry => entry.row.id);
+    if (createdIds.length > 0) {
+        const { error } = await db.from('enhancements').delete().in('id', createdIds);
+        if (error) {
+            errors.push(`Could not delete the created requests ${createdIds.join(', ')}: ${error.message}`);
+        }
     }
-});
 
-// Create new enhancement
-app.post('/api/enhancements', authMiddleware, async (req, res) => {
-    try {
-        console.log('POST /api/enhancements - Request body:', req.body);
-        console.log('Request headers:', req.headers);
-        console.log('Content-Type:', req.get('Content-Type'));
-        
-        const {
-            requestName, requestDescription, rationale, requestorName, dateOfRequest,
-            stakeholder, typeOfRequest, areaOfProduct, linkToDocument, desireLevel,
-            effortLevel, difficultyLevel, whoBenefits, timeline, priorityLevel
-        } = req.body;
-
-        console.log('Extracted fields:');
-        console.log('- requestName:', requestName);
-        console.log('- requestDescription:', requestDescription);
-        console.log('- requestorName:', requestorName);
-        console.log('- dateOfRequest:', dateOfRequest);
-        console.log('- typeOfRequest:', typeOfRequest);
-        console.log('- areaOfProduct:', areaOfProduct);
-        console.log('- desireLevel:', desireLevel);
-        console.log('- effortLevel:', effortLevel);
-        console.log('- whoBenefits:', whoBenefits);
-
-        // Validate required fields
-        if (!requestName || !requestDescription || !requestorName || !dateOfRequest || 
-            !typeOfRequest || !areaOfProduct || !desireLevel || !whoBenefits) {
-            console.log('❌ Missing required fields validation failed');
-            console.log('Field validation:', {
-                requestName: !!requestName,
-                requestDescription: !!requestDescription,
-                requestorName: !!requestorName,
-                dateOfRequest: !!dateOfRequest,
-                typeOfRequest: !!typeOfRequest,
-                areaOfProduct: !!areaOfProduct,
-                desireLevel: !!desireLevel,
-                effortLevel: !!effortLevel,
-                whoBenefits: !!whoBenefits
-            });
-            return res.status(400).json({ 
-                error: 'Missing required fields',
-                details: {
-                    requestName: !!requestName,
-                    requestDescription: !!requestDescription,
-                    requestorName: !!requestorName,
-                    dateOfRequest: !!dateOfRequest,
-                    typeOfRequest: !!typeOfRequest,
-                    areaOfProduct: !!areaOfProduct,
-                    desireLevel: !!desireLevel,
-                    effortLevel: !!effortLevel,
-                    whoBenefits: !!whoBenefits
-                }
-            });
+    for (const entry of applied.filter(candidate => candidate.action === 'update')) {
+        const previous = Object.fromEntries(entry.columns.map(column => [column, entry.before[column]]));
+        const { data, error } = await updateEnhancementIfCurrent(entry.row.id, { ...previous, updated_at: new Date().toISOString() }, entry.row, entry.row.version);
+        if (error) {
+            errors.push(`Could not restore ${entry.row.request_id}: ${error.code === 'PGRST116' ? 'it was edited in the meantime' : error.message}`);
+            continue;
         }
+        await recordEnhancementHistory({ enhancementId: data.id, action: 'import', before: entry.row, after: data, actor });
+    }
+
+    return errors;
+}
+
+/**
+ * Check import records without writing anything: each one is validated like a submitted request and planned
+ * as a new request, or with upsert as an update of the request named by its request ID
+ * @param {Object} req - Express request (the importing user)
+ * @param {Array} records - Parsed CSV rows or JSON records
+ * @param {Object} format - { toBody: (record, schema) -> camelCase body (may throw for a malformed record),
+ *   toRequestId: record -> request ID or empty }
+ * @param {Object} options - { upsert, schema, firstRow: row number of records[0] (default 1),
+ *   seenRequestIds: Map of request ID -> row number that updates it, shared by the parts of one file }
+ * @returns {Promise<Object>} { planned, failures, validationErrors } - planned holds { row, action, values, columns }
+ *   for a create and { row, action, existing, changes, columns } for an update or unchanged request
+ */
+async function planImport(req, records, { toBody, toRequestId }, { upsert = false, schema, firstRow = 1, seenRequestIds = new Map() }) {
+    const failures = [];
+    const validationErrors = [];
+    const fail = (rowNum, message) => failures.push({ row: rowNum, message });
+
+    const requestIdOf = record => {
+        const requestId = upsert && record && typeof record === 'object' ? toRequestId(record) : null;
+        return typeof requestId === 'string' && requestId.trim() !== '' ? requestId.trim().toUpperCase() : null;
+    };
+    const targets = upsert ? await loadImportTargets(records.map(requestIdOf).filter(Boolean)) : new Map();
+
+    const planned = [];
+    for (let i = 0; i < records.length; i++) {
+        const rowNum = firstRow + i;
 
-        // Validate Who Benefits field
         try {
-            const validWhoBenefits = ['Clients - procurement', 'Clients - end users', 'Suppliers', 'Internal'];
-            console.log('Validating whoBenefits:', whoBenefits);
-            
-            if (typeof whoBenefits !== 'string') {
-                return res.status(400).json({ 
-                    error: 'Invalid Who Benefits format',
-                    details: 'Who Benefits must be a string'
-                });
+            const body = toBody(records[i], schema);
+            const requestId = requestIdOf(records[i]);
+
+            if (!requestId) {
+                const { values, errors: rowErrors } = validateEnhancement(body, schema);
+                if (rowErrors.length > 0) {
+                    fail(rowNum, rowErrors.map(e => e.message).join('; '));
+                    validationErrors.push(...rowErrors.map(e => ({ row: rowNum, ...e })));
+                    continue;
+                }
+                planned.push({ row: rowNum, action: 'create', values, columns: toColumns(values) });
+                continue;
             }
-            
-            const whoBenefitsArray = whoBenefits.split(',').map(v => v.trim()).filter(v => v !== '');
-            console.log('Who Benefits array:', whoBenefitsArray);
-            
-            const invalidWhoBenefits = whoBenefitsArray.filter(v => !validWhoBenefits.includes(v));
-            console.log('Invalid Who Benefits:', invalidWhoBenefits);
-            
-            if (invalidWhoBenefits.length > 0) {
-                return res.status(400).json({ 
-                    error: 'Invalid Who Benefits values',
-                    details: `Who Benefits must be one or more of: ${validWhoBenefits.join(', ')}. Invalid values: ${invalidWhoBenefits.join(', ')}`
-                });
+
+            const existing = targets.get(requestId);
+            if (!existing) {
+                fail(rowNum, `Request ID ${requestId} does not exist`);
+                continue;
             }
-        } catch (validationError) {
-            console.error('Who Benefits validation error:', validationError);
-            return res.status(400).json({ 
-                error: 'Who Benefits validation failed',
-                details: validationError.message
-            });
-        }
+            if (existing.deleted_at) {
+                fail(rowNum, `${requestId} is in the Trash - restore it before updating it`);
+                continue;
+            }
+            if (existing.merged_into) {
+                fail(rowNum, `${requestId} was merged into another request`);
+                continue;
+            }
+            if (seenRequestIds.has(requestId)) {
+                fail(rowNum, `${requestId} is already updated by row ${seenRequestIds.get(requestId)}`);
+                continue;
+            }
+            seenRequestIds.set(requestId, rowNum);
 
-        // Generate a temporary request ID first
-        const tempRequestId = `TEMP-${Date.now()}`;
-        
-        // Date handling - HTML5 date input already provides YYYY-MM-DD format
-        let formattedDate = dateOfRequest;
-        if (dateOfRequest && dateOfRequest.includes('-')) {
-            const dateParts = dateOfRequest.split('-');
-            if (dateParts.length === 3) {
-                if (dateParts[0].length === 4) {
-                    // Already in YYYY-MM-DD format from HTML5 date input
-                    formattedDate = dateOfRequest;
-                    console.log(`Date already in correct format: ${formattedDate}`);
-                } else if (dateParts[0].length === 2) {
-                    // Legacy DD-MM-YYYY format (for CSV imports), convert to YYYY-MM-DD
-                    formattedDate = `${dateParts[2]}-${dateParts[1]}-${dateParts[0]}`;
-                    console.log(`Date converted from DD-MM-YYYY: ${dateOfRequest} -> ${formattedDate}`);
-                }
+            const { values, errors: rowErrors } = validateEnhancement(body, schema, { mode: 'update', existing: fromRow(existing) });
+            if (rowErrors.length > 0) {
+                fail(rowNum, rowErrors.map(e => e.message).join('; '));
+                validationErrors.push(...rowErrors.map(e => ({ row: rowNum, ...e })));
+                continue;
             }
-        }
-        
-        const enhancementData = {
-            request_id: tempRequestId,
-            request_name: requestName,
-            request_description: requestDescription,
-            rationale: rationale && rationale.trim() !== '' ? rationale : 'Not specified',
-            requestor_name: requestorName,
-            date_of_request: formattedDate,
-            stakeholder: stakeholder,
-            type_of_request: typeOfRequest,
-            area_of_product: areaOfProduct,
-            link_to_document: linkToDocument,
-            desire_level: desireLevel,
-            effort_level: effortLevel,
-            difficulty_level: difficultyLevel,
-            who_benefits: whoBenefits,
-            timeline: timeline,
-            priority_level: priorityLevel || 'Medium'  // <--- pass through or fallback
-        };
 
-        console.log('Enhancement data to insert:', enhancementData);
-        
-        const { data, error } = await supabase
-            .from('enhancements')
-            .insert([enhancementData])
-            .select()
-            .single();
+            const updateCheck = checkEnhancementUpdate(req, existing, values);
+            if (updateCheck) {
+                fail(rowNum, updateCheck.body.message);
+                continue;
+            }
 
-        if (error) {
-            console.error('Supabase insert error:', error);
-            console.error('Error details:', JSON.stringify(error, null, 2));
-            console.error('Enhancement data that failed:', JSON.stringify(enhancementData, null, 2));
-            return res.status(500).json({ 
-                error: 'Database error', 
-                details: error.message,
-                code: error.code,
-                hint: error.hint,
-                data: enhancementData,
-                fullError: error
+            // Only the fields whose value actually changes are written
+            const changes = Object.entries(values)
+                .map(([field, value]) => ({ field, column: ENHANCEMENT_FIELDS[field].column, oldValue: existing[ENHANCEMENT_FIELDS[field].column], newValue: value }))
+                .filter(change => historyValue(change.oldValue) !== historyValue(change.newValue));
+
+            planned.push({
+                row: rowNum,
+                action: changes.length > 0 ? 'update' : 'unchanged',
+                existing,
+                changes,
+                columns: Object.fromEntries(changes.map(change => [change.column, change.newValue]))
             });
+        } catch (error) {
+            console.error(`Error processing row ${rowNum}:`, error);
+            fail(rowNum, error.message);
         }
+    }
 
-        // Generate final request ID using the actual ID from Supabase
-        const requestId = `REQ-${String(data.id).padStart(6, '0')}`;
-        
-        // Update the record with the final request_id
-        const { error: updateError } = await supabase
-            .from('enhancements')
-            .update({ request_id: requestId })
-            .eq('id', data.id);
+    return { planned, failures, validationErrors };
+}
 
-        if (updateError) {
-            console.error('Error updating request_id:', updateError);
-            // Don't throw error here, the record was created successfully
+/**
+ * Write the records planned by planImport(): creates get their request ID from the database and an 'import'
+ * history entry, updates are based on the version that was checked. A dry run only reports what it would do.
+ * @param {Object} req - Express request (the importing user)
+ * @param {Object[]} planned - Entries of planImport()
+ * @param {Object} options - { dryRun, atomic: stop at the first failed write,
+ *   progress: { rows, failures, applied } to add to as each record is written, so the caller still has them if a
+ *   write throws, onWrite(entry): awaited after each record is written or fails }
+ * @returns {Promise<Object>} progress - applied holds the written { action, row, before, columns } for revertImport()
+ */
+async function writeImport(req, planned, { dryRun = false, atomic = false, progress = { rows: [], failures: [], applied: [] }, onWrite = null } = {}) {
+    const { rows, failures, applied } = progress;
+    const actor = getActor(req);
+    const reportWrite = async entry => {
+        if (onWrite) {
+            await onWrite(entry);
         }
+    };
 
-        console.log('Successfully created enhancement:', data);
-        res.json({ ...data, request_id: requestId });
-    } catch (error) {
-        console.error('Error creating enhancement:', error);
-        console.error('Error stack:', error.stack);
-        console.error('Request body:', req.body);
-        res.status(500).json({ 
-            error: 'Failed to create enhancement',
-            details: error.message,
-            stack: error.stack
-        });
+    // Compare each new request with existing requests and with records imported earlier in this batch
+    let duplicateCorpus = null;
+    try {
+        duplicateCorpus = await loadDuplicateCorpus();
+    } catch (corpusError) {
+        console.error('⚠️ Duplicate detection unavailable for this import:', corpusError.message);
     }
-});
 
-// Update enhancement
-app.put('/api/enhancements/:id', authMiddleware, async (req, res) => {
-    try {
-        const { id } = req.params;
-        const {
-            requestName, requestDescription, rationale, requestorName, dateOfRequest,
-            stakeholder, typeOfRequest, areaOfProduct, linkToDocument, desireLevel,
-            effortLevel, difficultyLevel, whoBenefits, timeline,
-            status, priorityLevel, acceptedDeniedReason, documentationUpdated,
-            storylanesUpdated, releaseNotes
-        } = req.body;
-
-        // Build update data object with all fields
-        const updateData = {
-            request_name: requestName,
-            request_description: requestDescription,
-            rationale: rationale,
-            requestor_name: requestorName,
-            date_of_request: dateOfRequest,
-            stakeholder: stakeholder,
-            type_of_request: typeOfRequest,
-            area_of_product: areaOfProduct,
-            link_to_document: linkToDocument,
-            desire_level: desireLevel,
-            effort_level: effortLevel ? parseFloat(effortLevel) : null,
-            difficulty_level: difficultyLevel,
-            who_benefits: whoBenefits,
-            timeline: timeline,
-            status: status,
-            priority_level: priorityLevel,
-            accepted_denied_reason: acceptedDeniedReason,
-            documentation_updated: documentationUpdated,
-            storylanes_updated: storylanesUpdated,
-            release_notes: releaseNotes,
-            updated_at: new Date().toISOString()
-        };
+    for (const entry of planned) {
+        const result = { row: entry.row, action: entry.action };
 
-        console.log('Updating enhancement:', id, 'with data:', updateData);
+        if (entry.action === 'create') {
+            const enhancementData = { ...entry.columns, status: 'submitted', created_by: req.user.id };
+            result.requestName = enhancementData.request_name;
+            result.possibleDuplicates = duplicateCorpus
+                ? findDuplicates(duplicateCorpus, { name: enhancementData.request_name, description: enhancementData.request_description })
+                : [];
 
-        const { data, error } = await supabase
-            .from('enhancements')
-            .update(updateData)
-            .eq('id', id)
-            .select()
-            .single();
+            if (dryRun) {
+                // Later rows show matches with this one by its row number, as it has no request ID yet
+                if (duplicateCorpus) {
+                    addToDuplicateCorpus(duplicateCorpus, { ...enhancementData, id: null, request_id: `Row ${entry.row}` });
+                }
+                result.values = entry.values;
+                rows.push(result);
+                continue;
+            }
 
-        if (error) {
-            if (error.code === 'PGRST116') {
-                return res.status(404).json({ error: 'Enhancement not found' });
+            console.log(`Inserting row ${entry.row} with who_benefits: "${enhancementData.who_benefits}"`);
+
+            const { data, error } = await db
+                .from('enhancements')
+                .insert([enhancementData])
+                .select();
+
+            if (error) {
+                console.error(`Database error for row ${entry.row}:`, error);
+                console.error(`Data that caused error:`, enhancementData);
+                failures.push({ row: entry.row, message: `Database error - ${error.message}` });
+                await reportWrite(entry);
+                if (atomic) {
+                    break;
+                }
+                continue;
             }
-            console.error('Update error:', error);
-            throw error;
+
+            // Recorded straight away, so an all-or-nothing import can undo the row even if a later step throws
+            applied.push({ action: 'create', row: data[0] });
+
+            // The request ID is assigned by the database in the same insert
+            const inserted = await ensureRequestId(data[0]);
+            applied[applied.length - 1].row = inserted;
+
+            await recordEnhancementHistory({
+                enhancementId: inserted.id,
+                action: 'import',
+                before: null,
+                after: inserted,
+                actor
+            });
+
+            if (duplicateCorpus) {
+                addToDuplicateCorpus(duplicateCorpus, inserted);
+            }
+            result.id = inserted.id;
+            result.requestId = inserted.request_id;
+            console.log(`Successfully inserted row ${entry.row} as ${inserted.request_id}`);
+            rows.push(result);
+            await reportWrite(entry);
+            continue;
         }
 
-        console.log('Successfully updated enhancement:', data);
-        res.json({ message: 'Enhancement updated successfully', data });
-    } catch (error) {
-        console.error('Error updating enhancement:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
+        result.id = entry.existing.id;
+        result.requestId = entry.existing.request_id;
+        result.requestName = entry.columns.request_name || entry.existing.request_name;
+        result.changes = entry.changes.map(({ field, oldValue, newValue }) => ({ field, oldValue, newValue }));
+        result.possibleDuplicates = [];
 
-// Delete enhancement
-app.delete('/api/enhancements/:id', authMiddleware, async (req, res) => {
-    try {
-        console.log('DELETE /api/enhancements/:id - ID:', req.params.id);
-        const { id } = req.params;
-        const { error } = await supabase
-            .from('enhancements')
-            .delete()
-            .eq('id', id);
+        if (entry.action === 'unchanged' || dryRun) {
+            rows.push(result);
+            if (!dryRun) {
+                await reportWrite(entry);
+            }
+            continue;
+        }
+
+        // Based on the version read when the record was checked, so an edit made since is not overwritten
+        const { data, error } = await updateEnhancementIfCurrent(entry.existing.id, {
+            ...entry.columns,
+            updated_at: new Date().toISOString()
+        }, entry.existing, entry.existing.version);
 
         if (error) {
-            throw error;
+            console.error(`Database error for row ${entry.row}:`, error);
+            failures.push({
+                row: entry.row,
+                message: error.code === 'PGRST116'
+                    ? `${entry.existing.request_id} was edited or deleted while importing`
+                    : `Database error - ${error.message}`
+            });
+            await reportWrite(entry);
+            if (atomic) {
+                break;
+            }
+            continue;
         }
 
-        res.json({ message: 'Enhancement deleted successfully' });
-    } catch (error) {
-        console.error('Error deleting enhancement:', error);
-        res.status(500).json({ error: error.message });
+        applied.push({ action: 'update', row: data, before: entry.existing, columns: Object.keys(entry.columns) });
+        await recordEnhancementHistory({
+            enhancementId: data.id,
+            action: 'import',
+            before: entry.existing,
+            after: data,
+            actor
+        });
+
+        console.log(`Updated ${data.request_id} from row ${entry.row}: ${Object.keys(entry.columns).join(', ')}`);
+        rows.push(result);
+        await reportWrite(entry);
+    }
+
+    return progress;
+}
+
+/**
+ * Build the report of an import
+ * @param {Object} outcome - { dryRun, atomic, rolledBack, total, notes: messages listed before the row errors,
+ *   rows, failures, validationErrors }
+ * @returns {Object} Report of { dryRun, atomic, rolledBack, successful, failed, total, created, updated,
+ *   unchanged, possibleDuplicates, rows, errors, failures, validationErrors } - failures holds { row, message }
+ *   per failed record; trim it with limitImportReport() before sending it in a response
+ */
+function summarizeImport({ dryRun, atomic, rolledBack, total, notes = [], rows, failures, validationErrors }) {
+    const count = action => rows.filter(row => row.action === action).length;
+    return {
+        dryRun,
+        atomic,
+        rolledBack,
+        successful: rows.length,
+        failed: failures.length,
+        total,
+        created: count('create'),
+        updated: count('update'),
+        unchanged: count('unchanged'),
+        possibleDuplicates: rows.filter(row => row.possibleDuplicates.length > 0).length,
+        rows,
+        errors: [...notes, ...failures.map(({ row, message }) => `Row ${row}: ${message}`)],
+        failures,
+        validationErrors
+    };
+}
+
+/**
+ * Import records in one go: every record is checked before anything is written, so a dry run reports
+ * exactly what a real import would do. Without atomic, a failing record does not stop the rest.
+ * Real imports from the routes run as import jobs instead (see continueImportJob()).
+ * @param {Object} req - Express request (the importing user)
+ * @param {Array} records - Parsed CSV rows or JSON records
+ * @param {Object} format - { toBody, toRequestId } of planImport()
+ * @param {Object} options - Result of parseImportOptions()
+ * @returns {Promise<Object>} Report of summarizeImport()
+ */
+async function importEnhancements(req, records, format, { dryRun = false, upsert = false, atomic = false } = {}) {
+    // Records map to request fields through the shared schema
+    const schema = await getEnhancementSchema();
+    const { planned, failures, validationErrors } = await planImport(req, records, format, { upsert, schema });
+    const outcome = { dryRun, atomic, rolledBack: false, total: records.length, notes: [], rows: [], failures, validationErrors };
+
+    if (atomic && failures.length > 0) {
+        outcome.rolledBack = !dryRun;
+        outcome.notes.push(dryRun
+            ? `Nothing would be imported: ${failures.length} row(s) fail and the import is all or nothing`
+            : `Nothing was imported: ${failures.length} row(s) failed and the import is all or nothing`);
+        return summarizeImport(outcome);
+    }
+
+    const written = await writeImport(req, planned, { dryRun, atomic });
+    outcome.rows = written.rows;
+    failures.push(...written.failures);
+
+    if (atomic && written.failures.length > 0) {
+        const revertErrors = await revertImport(written.applied, getActor(req));
+        console.log(`↩️ Atomic import failed, undid ${written.applied.length} write(s)${revertErrors.length > 0 ? `, ${revertErrors.length} could not be undone` : ''}`);
+        outcome.rolledBack = true;
+        outcome.notes.push(`Nothing was imported: a write failed and the ${written.applied.length} row(s) written before it were undone`, ...revertErrors);
+        outcome.rows = [];
     }
-});
+    return summarizeImport(outcome);
+}
 
-// Get workflow statistics
-app.get('/api/workflow/stats', authMiddleware, async (req, res) => {
-    try {
-        const { data, error } = await supabase
-            .from('enhancements')
-            .select('status')
-            .not('status', 'is', null);
+/**
+ * Trim the error lists of an import report for an HTTP response
+ * @param {Object} report - Result of summarizeImport()
+ * @returns {Object} Report with at most 50 errors and failures and 200 validation errors
+ */
+function limitImportReport(report) {
+    return {
+        ...report,
+        errors: report.errors.slice(0, 50), // Limit to first 50 errors
+        failures: report.failures.slice(0, 50),
+        validationErrors: report.validationErrors.slice(0, 200)
+    };
+}
 
-        if (error) {
-            throw error;
-        }
+// How the records of each import source map to request fields
+const IMPORT_FORMATS = {
+    // Columns map by their CSV header; the Request ID column is the one written by the CSV download
+    csv: {
+        toBody: fromCsvRow,
+        toRequestId: row => Object.entries(row).find(([header]) => header.trim().toLowerCase() === 'request id')?.[1]
+    },
+    // Keys map by field name (camelCase) or column name (snake_case)
+    json: {
+        toBody: fromJsonRecord,
+        toRequestId: record => record.requestId !== undefined ? record.requestId : record.request_id
+    }
+};
 
-        // Count by status
-        const stats = data.reduce((acc, item) => {
-            acc[item.status] = (acc[item.status] || 0) + 1;
-            return acc;
-        }, {});
+// Import jobs (table import_jobs, migrations 015 and 018)
+// A real import is stored as a job with its records and worked through in parts: the client calls
+// POST /api/import-jobs/:id/continue until the job has finished, and each call imports the next few rows.
+// No work happens after a response is sent, so this also runs on serverless hosts such as Vercel.
 
-        const result = Object.entries(stats).map(([status, count]) => ({
-            status,
-            count
-        }));
+// Rows written per continue call - small enough to finish well within a serverless function's time limit
+const IMPORT_JOB_CHUNK_SIZE = 25;
 
-        res.json(result);
-    } catch (error) {
-        console.error('Error fetching workflow stats:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
+// Rows checked per continue call while an all-or-nothing job checks the whole file before writing
+const IMPORT_JOB_CHECK_CHUNK_SIZE = IMPORT_LOOKUP_BATCH_SIZE;
 
-// Slack Integration - Verify Slack request signature
-function verifySlackRequest(req) {
-    const slackSigningSecret = process.env.SLACK_SIGNING_SECRET;
+// How long a continue call holds a job; a call that died part-way releases it when this runs out
+const IMPORT_JOB_CLAIM_MS = 2 * 60 * 1000;
 
-    console.log('🔐 Starting signature verification...');
-    console.log('Signing secret exists:', !!slackSigningSecret);
-    console.log('Signing secret length:', slackSigningSecret ? slackSigningSecret.length : 0);
+// A job nobody continued for this long was abandoned (page closed)
+const IMPORT_JOB_STALE_MS = 30 * 60 * 1000;
 
-    if (!slackSigningSecret) {
-        console.error('❌ SLACK_SIGNING_SECRET not configured');
-        return false;
-    }
+// Days finished jobs and their reports are kept
+const IMPORT_JOB_RETENTION_DAYS = parseInt(process.env.IMPORT_JOB_RETENTION_DAYS, 10) >= 0
+    ? parseInt(process.env.IMPORT_JOB_RETENTION_DAYS, 10)
+    : 30;
 
-    const slackSignature = req.headers['x-slack-signature'];
-    const timestamp = req.headers['x-slack-request-timestamp'];
-    const body = req.rawBody;
+// claimed_until of a job no call is working on
+const IMPORT_JOB_UNCLAIMED = new Date(0).toISOString();
 
-    console.log('Slack Signature:', slackSignature);
-    console.log('Timestamp:', timestamp);
-    console.log('Raw Body exists:', !!body);
-    console.log('Raw Body length:', body ? body.length : 0);
-    console.log('Raw Body preview:', body ? body.substring(0, 100) : 'N/A');
+/**
+ * Transform an import_jobs row into the camelCase format used by the frontend
+ * The report is only included once the job has finished; the stored records and state never are.
+ * @param {Object} job - Row from the import_jobs table
+ * @returns {Object} Frontend-formatted job
+ */
+function transformImportJob(job) {
+    const finished = job.status === 'completed' || job.status === 'failed';
+    return {
+        id: job.id,
+        source: job.source,
+        fileName: job.file_name,
+        status: job.status,
+        // 'checking' while an all-or-nothing job checks every row before writing, then 'importing'
+        phase: job.state ? job.state.phase : null,
+        options: job.options,
+        total: job.total,
+        processed: job.processed,
+        succeeded: job.succeeded,
+        failed: job.failed,
+        error: job.error,
+        hasErrorReport: finished && Boolean(job.error_report),
+        report: finished ? job.report : null,
+        createdBy: job.created_by,
+        createdAt: job.created_at,
+        startedAt: job.started_at,
+        finishedAt: job.finished_at,
+        updatedAt: job.updated_at
+    };
+}
 
-    if (!slackSignature || !timestamp) {
-        console.log('❌ Missing Slack signature or timestamp');
-        return false;
+/**
+ * Update an import job
+ * @param {string} id - Job ID
+ * @param {Object} changes - Columns to set
+ * @returns {Promise<Object>} Updated row
+ */
+async function updateImportJob(id, changes) {
+    const { data, error } = await db
+        .from('import_jobs')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) {
+        throw error;
     }
+    return data;
+}
 
-    // Prevent replay attacks (ignore requests older than 5 minutes)
-    const now = Math.floor(Date.now() / 1000);
-    const timeDiff = Math.abs(now - parseInt(timestamp));
-    console.log('Time difference (seconds):', timeDiff);
-
-    if (timeDiff > 300) {
-        console.log('❌ Slack request timestamp too old');
-        return false;
+/**
+ * Quote a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function escapeCsvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
     }
+    const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/[",\r\n]/.test(stringValue)) {
+        return `"${stringValue.replace(/"/g, '""')}"`;
+    }
+    return stringValue;
+}
 
-    // Calculate expected signature
-    const sigBasestring = `v0:${timestamp}:${body}`;
-    console.log('Signature base string:', sigBasestring.substring(0, 100) + '...');
+/**
+ * Build the downloadable error report of an import: one line per failed record with the reason and the record
+ * as it was uploaded, so the lines can be fixed and imported again
+ * @param {string} source - 'csv' or 'json'
+ * @param {Object[]} records - Imported records
+ * @param {Object} report - Result of summarizeImport()
+ * @returns {string|null} CSV text, or null when no record failed
+ */
+function buildImportErrorReport(source, records, report) {
+    if (report.failures.length === 0) {
+        return null;
+    }
 
-    const mySignature = 'v0=' + crypto
-        .createHmac('sha256', slackSigningSecret)
-        .update(sigBasestring, 'utf8')
-        .digest('hex');
+    // CSV lines keep their original columns; JSON records are written whole into one column
+    const headers = source === 'csv'
+        ? [...new Set(records.flatMap(record => Object.keys(record)))]
+        : ['Record'];
+    const lines = [['Row', 'Error', ...headers].map(escapeCsvCell).join(',')];
 
-    console.log('Expected signature:', mySignature);
-    console.log('Received signature:', slackSignature);
+    report.failures.forEach(({ row, message }) => {
+        const record = records[row - 1] || {};
+        const values = source === 'csv' ? headers.map(header => record[header]) : [record];
+        lines.push([row, message, ...values].map(escapeCsvCell).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
 
-    // Use timing-safe comparison
-    const slackSigBuffer = Buffer.from(slackSignature, 'utf8');
-    const mySigBuffer = Buffer.from(mySignature, 'utf8');
+/**
+ * Record an import job with its records and answer 202 with it; the client then drives it through
+ * POST /api/import-jobs/:id/continue
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} job - { source: key of IMPORT_FORMATS, fileName, records, options }
+ */
+async function startImportJob(req, res, { source, fileName, records, options }) {
+    const now = new Date().toISOString();
+    const { data: job, error } = await db
+        .from('import_jobs')
+        .insert([{
+            id: crypto.randomUUID(),
+            source,
+            file_name: fileName || null,
+            status: 'queued',
+            options,
+            total: records.length,
+            records,
+            // An all-or-nothing job checks every row before it writes any
+            state: {
+                phase: options.atomic ? 'checking' : 'importing',
+                cursor: 0,
+                seenRequestIds: {},
+                rows: [],
+                failures: [],
+                validationErrors: [],
+                applied: [],
+                // Recorded on the restored values if an abandoned all-or-nothing job is undone
+                actor: getActor(req)
+            },
+            claimed_until: IMPORT_JOB_UNCLAIMED,
+            created_by: req.user.id,
+            created_at: now,
+            updated_at: now
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        throw error;
+    }
 
-    if (slackSigBuffer.length !== mySigBuffer.length) {
-        console.log('❌ Slack signature length mismatch');
-        console.log('Expected length:', mySigBuffer.length);
-        console.log('Received length:', slackSigBuffer.length);
-        return false;
+    // Housekeeping: drop the reports of old jobs
+    const cutoff = new Date(Date.now() - IMPORT_JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const { error: cleanupError } = await db.from('import_jobs').delete().lt('created_at', cutoff);
+    if (cleanupError) {
+        console.error('Error removing old import jobs:', cleanupError);
     }
 
-    const isValid = crypto.timingSafeEqual(slackSigBuffer, mySigBuffer);
-    console.log(isValid ? '✅ Slack signature verified' : '❌ Slack signature invalid');
-    return isValid;
+    console.log(`📥 Import job ${job.id} queued: ${records.length} ${source.toUpperCase()} record(s)`);
+    res.status(202).json({
+        message: `Import of ${records.length} record(s) queued`,
+        job: transformImportJob(job)
+    });
 }
 
-// Slack Test Endpoint - to verify Slack can reach the server
-app.get('/api/slack/test', (req, res) => {
-    res.json({
-        status: 'ok',
-        message: 'Slack endpoint is reachable',
-        timestamp: new Date().toISOString()
+/**
+ * Finish an import job: store its report and error report and drop the uploaded records
+ * @param {Object} job - Row from the import_jobs table
+ * @param {Object} state - Job state with the rows, failures and validation errors of every part
+ * @param {Object} outcome - { rolledBack, notes } for summarizeImport()
+ * @returns {Promise<Object>} Updated row
+ */
+async function completeImportJob(job, state, { rolledBack = false, notes = [] } = {}) {
+    const report = summarizeImport({
+        dryRun: false,
+        atomic: Boolean(job.options.atomic),
+        rolledBack,
+        total: job.total,
+        notes,
+        rows: rolledBack ? [] : state.rows,
+        failures: state.failures,
+        validationErrors: state.validationErrors
     });
-});
 
-// Slack Webhook - Create enhancement from Slack message
-app.post('/api/slack/new-request', slackLimiter, async (req, res) => {
-    try {
-        console.log('📨 ========== SLACK WEBHOOK RECEIVED ==========');
-        console.log('Timestamp:', new Date().toISOString());
-        console.log('Headers:', JSON.stringify(req.headers, null, 2));
-        console.log('Body:', JSON.stringify(req.body, null, 2));
-        console.log('Raw Body:', req.rawBody);
+    console.log(`✅ Import job ${job.id} finished: ${report.successful} imported, ${report.failed} failed`);
+    return updateImportJob(job.id, {
+        status: 'completed',
+        processed: job.total,
+        succeeded: report.successful,
+        failed: report.failed,
+        report: limitImportReport(report),
+        error_report: buildImportErrorReport(job.source, job.records, report),
+        records: null,
+        state: { phase: state.phase },
+        claimed_until: IMPORT_JOB_UNCLAIMED,
+        finished_at: new Date().toISOString()
+    });
+}
 
-        // Verify Slack request signature
-        const isValid = verifySlackRequest(req);
-        console.log('Signature verification result:', isValid);
+/**
+ * Stop an import job that cannot go on: a part threw, a call died part-way through a part, or nobody continued it
+ * An all-or-nothing job undoes the rows it wrote. Otherwise they are kept, and the error says how far the job got;
+ * its error report lists the failed rows and the rows it did not reach, to be imported again.
+ * @param {Object} job - Row from the import_jobs table, with its state as far as it got
+ * @param {string} reason - Why the job stopped
+ * @returns {Promise<Object>} Updated row
+ */
+async function failImportJob(job, reason) {
+    const atomic = Boolean(job.options.atomic);
+    const state = job.state || { failures: [], applied: [] };
+    const applied = atomic ? state.applied : [];
+    const revertErrors = applied.length > 0 ? await revertImport(applied, state.actor) : [];
+    if (applied.length > 0) {
+        console.log(`↩️ Atomic import job ${job.id} stopped, undid ${applied.length} write(s)${revertErrors.length > 0 ? `, ${revertErrors.length} could not be undone` : ''}`);
+    }
 
-        if (!isValid) {
-            console.log('❌ Slack signature verification failed');
-            return res.status(200).json({
-                response_type: 'ephemeral',
-                text: '❌ Request verification failed. Please contact admin.'
-            });
+    let error;
+    let errorReport = null;
+    if (applied.length > 0) {
+        error = `${reason}. The ${applied.length} row(s) it wrote were undone${revertErrors.length > 0 ? `, except: ${revertErrors.join('; ')}` : ''}.`;
+    } else if (atomic) {
+        error = `${reason}. Nothing was imported.`;
+    } else {
+        // The job row has the progress saved after each row; the state of a part that threw may be further along
+        const lastRow = Math.max(job.processed, state.lastRow || 0);
+        const succeeded = Math.max(job.succeeded, (state.rows || []).length);
+        const failed = Math.max(job.failed, state.failures.length);
+        error = `${reason}. It got to row ${lastRow} of ${job.total}: ${succeeded} row(s) were imported and ${failed} failed.`;
+        if (lastRow < job.total) {
+            error += ` Rows ${lastRow + 1} to ${job.total} were not imported; the error report lists them with the failed rows.`;
         }
 
-        console.log('✅ Slack signature verified successfully');
+        const failedRows = new Set(state.failures.map(failure => failure.row));
+        const notReached = [];
+        for (let row = lastRow + 1; row <= job.total; row++) {
+            if (!failedRows.has(row)) {
+                notReached.push({ row, message: 'Not imported - the import stopped before this row' });
+            }
+        }
+        if (job.records) {
+            errorReport = buildImportErrorReport(job.source, job.records, { failures: [...state.failures, ...notReached] });
+        }
+    }
 
-        // Extract Slack data
-        const { text, user_id, user_name, channel_name, channel_id } = req.body;
+    return updateImportJob(job.id, {
+        status: 'failed',
+        error,
+        error_report: errorReport,
+        records: null,
+        state: job.state ? { phase: job.state.phase } : null,
+        claimed_until: IMPORT_JOB_UNCLAIMED,
+        finished_at: new Date().toISOString()
+    });
+}
 
-        if (!text || text.trim() === '') {
-            return res.status(200).json({
-                response_type: 'ephemeral',
-                text: '❌ Please provide a description for your enhancement request.\nUsage: `/enhancement_request Your enhancement description here`'
+/**
+ * Work through the next part of an import job claimed by continueImportJob()
+ * - checking (all-or-nothing jobs): check the next rows without writing; once every row is checked, the job
+ *   finishes with nothing imported if any row failed, and otherwise starts importing from the first row
+ * - importing: check and write the next rows; an all-or-nothing job undoes every write when a row fails
+ * @param {Object} job - Row from the import_jobs table
+ * @param {Object} req - Request of the user continuing the job
+ * @returns {Promise<Object>} Updated row
+ */
+async function runImportJobChunk(job, req) {
+    const state = job.state;
+    const { upsert = false, atomic = false } = job.options;
+    const checking = state.phase === 'checking';
+    const start = state.cursor;
+    const end = Math.min(job.records.length, start + (checking ? IMPORT_JOB_CHECK_CHUNK_SIZE : IMPORT_JOB_CHUNK_SIZE));
+
+    // A request ID may only be updated by one row of the file, so the rows seen so far carry over between parts
+    const seenRequestIds = new Map(Object.entries(state.seenRequestIds));
+    const schema = await getEnhancementSchema();
+    const { planned, failures, validationErrors } = await planImport(req, job.records.slice(start, end), IMPORT_FORMATS[job.source], {
+        upsert,
+        schema,
+        firstRow: start + 1,
+        seenRequestIds
+    });
+    state.failures.push(...failures);
+    state.validationErrors.push(...validationErrors);
+    state.seenRequestIds = Object.fromEntries(seenRequestIds);
+
+    if (checking) {
+        state.cursor = end;
+        if (end < job.records.length) {
+            return updateImportJob(job.id, { state, processed: end, failed: state.failures.length, claimed_until: IMPORT_JOB_UNCLAIMED });
+        }
+        if (state.failures.length > 0) {
+            return completeImportJob(job, state, {
+                rolledBack: true,
+                notes: [`Nothing was imported: ${state.failures.length} row(s) failed and the import is all or nothing`]
             });
         }
+        // Every row passed: import the file from the top, checking each part again against the current data
+        Object.assign(state, { phase: 'importing', cursor: 0, seenRequestIds: {} });
+        return updateImportJob(job.id, { state, processed: 0, failed: 0, claimed_until: IMPORT_JOB_UNCLAIMED });
+    }
+
+    // An all-or-nothing job writes nothing more once a row fails (here: it changed since the check)
+    const failedBefore = state.failures.length;
+    if (!atomic || failures.length === 0) {
+        // Marked before writing, so a call that dies part-way is noticed instead of importing the part twice.
+        // Writes go straight into the state and the progress is saved after each one. The state itself is saved
+        // when a row fails, and after every row of an all-or-nothing job so its writes can be undone whatever
+        // happens to this call.
+        state.partEnd = end;
+        await updateImportJob(job.id, { state });
+        let savedFailures = state.failures.length;
+        await writeImport(req, planned, {
+            atomic,
+            progress: { rows: state.rows, failures: state.failures, applied: atomic ? state.applied : [] },
+            onWrite: async entry => {
+                state.lastRow = entry.row;
+                const progress = { processed: entry.row, succeeded: state.rows.length, failed: state.failures.length };
+                await updateImportJob(job.id, atomic || state.failures.length > savedFailures ? { ...progress, state } : progress);
+                savedFailures = state.failures.length;
+            }
+        });
+        delete state.partEnd;
+    }
+    state.cursor = end;
+
+    if (atomic && (failures.length > 0 || state.failures.length > failedBefore)) {
+        const revertErrors = await revertImport(state.applied, getActor(req));
+        console.log(`↩️ Atomic import job ${job.id} failed, undid ${state.applied.length} write(s)${revertErrors.length > 0 ? `, ${revertErrors.length} could not be undone` : ''}`);
+        return completeImportJob(job, state, {
+            rolledBack: true,
+            notes: [`Nothing was imported: a row failed and the ${state.applied.length} row(s) written before it were undone`, ...revertErrors]
+        });
+    }
 
-        // Generate temporary request_id
-        const tempRequestId = `SLACK-${Date.now()}`;
+    if (end < job.records.length) {
+        return updateImportJob(job.id, {
+            state,
+            processed: end,
+            succeeded: state.rows.length,
+            failed: state.failures.length,
+            claimed_until: IMPORT_JOB_UNCLAIMED
+        });
+    }
+    return completeImportJob(job, state);
+}
 
-        // Prepare enhancement data with smart defaults
-        const enhancementData = {
-            request_id: tempRequestId,
-            request_name: `Slack Request: ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`,
-            request_description: text.trim(),
-            rationale: `Submitted via Slack by ${user_name || 'Unknown User'} (ID: ${user_id || 'N/A'}) - to be enriched`,
-            requestor_name: user_name || 'Slack User',
-            date_of_request: new Date().toISOString().split('T')[0], // Today's date in YYYY-MM-DD
-            stakeholder: channel_name || null,
-            type_of_request: 'Enhancement (Feature)', // Default type
-            area_of_product: 'Buyer Portal', // Default area - adjust as needed
-            link_to_document: null,
-            desire_level: 'Nice-to-have', // Default desire level
-            effort_level: null, // To be filled later
-            difficulty_level: null, // To be filled later
-            who_benefits: 'Internal', // Default - to be updated later
-            timeline: null,
-            status: 'submitted',
-            priority_level: 'Medium' // Default priority
-        };
+/**
+ * Import the next part of a job, holding the job so two calls cannot import the same rows
+ * @param {Object} job - Row from the import_jobs table (queued or running)
+ * @param {Object} req - Request of the user continuing the job
+ * @returns {Promise<Object|null>} Updated row, or null when another call is working on the job
+ */
+async function continueImportJob(job, req) {
+    const now = new Date();
+    const { data: claimed, error } = await db
+        .from('import_jobs')
+        .update({
+            status: 'running',
+            started_at: job.started_at || now.toISOString(),
+            claimed_until: new Date(now.getTime() + IMPORT_JOB_CLAIM_MS).toISOString(),
+            updated_at: now.toISOString()
+        })
+        .eq('id', job.id)
+        .in('status', ['queued', 'running'])
+        .lt('claimed_until', now.toISOString())
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+    if (!claimed) {
+        return null;
+    }
 
-        console.log('Inserting Slack enhancement:', enhancementData);
+    // The call before this one died while writing a part, so some of its rows may be written and some not
+    if (claimed.state.partEnd) {
+        return failImportJob(claimed, `The import stopped while writing rows ${claimed.state.cursor + 1} to ${claimed.state.partEnd}`);
+    }
 
-        // Insert into database
-        const { data, error } = await supabase
-            .from('enhancements')
-            .insert([enhancementData])
-            .select()
-            .single();
+    try {
+        return await runImportJobChunk(claimed, req);
+    } catch (chunkError) {
+        console.error(`Import job ${job.id} failed:`, chunkError);
+        // claimed.state holds every write made so far, including those of the part that threw
+        return failImportJob(claimed, `The import stopped with an error: ${chunkError.message}`);
+    }
+}
 
-        if (error) {
-            console.error('❌ Database error:', error);
-            return res.status(200).json({
-                response_type: 'in_channel',
-                text: `❌ Failed to create enhancement request: ${error.message}`
-            });
+/**
+ * Load an import job, marking it failed when nobody continued it for IMPORT_JOB_STALE_MS
+ * The writes of an abandoned all-or-nothing job are undone.
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Row from the import_jobs table, or null when there is none
+ */
+async function loadImportJob(id) {
+    const { data: job, error } = await db
+        .from('import_jobs')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+    if (error) {
+        // PGRST116: no row; 22P02: not a UUID
+        if (error.code === 'PGRST116' || error.code === '22P02') {
+            return null;
         }
+        throw error;
+    }
 
-        // Update with final request_id
-        const requestId = `REQ-${String(data.id).padStart(6, '0')}`;
-        await supabase
-            .from('enhancements')
-            .update({ request_id: requestId })
-            .eq('id', data.id);
+    const active = job.status === 'queued' || job.status === 'running';
+    if (!active || Date.now() - Date.parse(job.updated_at) <= IMPORT_JOB_STALE_MS) {
+        return job;
+    }
 
-        console.log(`✅ Created enhancement ${requestId} from Slack`);
+    return failImportJob(job, 'The import was abandoned before it finished');
+}
 
-        // Respond to Slack - visible in channel
-        return res.status(200).json({
-            response_type: 'in_channel',
-            text: `:memo: Enhancement Request submitted by <@${user_name || user_id}>:\n>${text}\n\n✅ *Request ID:* ${requestId}\n_Note: This request has been created with default values. Please enrich it in the tracker webapp._`
-        });
+// Import job status and progress
+app.get('/api/import-jobs/:id', authMiddleware, requirePermission('enhancement:import'), async (req, res) => {
+    try {
+        const job = await loadImportJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Import job not found' });
+        }
+        res.json(transformImportJob(job));
+    } catch (error) {
+        console.error('Error fetching import job:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Import the next part of a job; call again until its status is completed or failed
+app.post('/api/import-jobs/:id/continue', authMiddleware, requirePermission('enhancement:import'), async (req, res) => {
+    try {
+        const job = await loadImportJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Import job not found' });
+        }
+        if (job.created_by !== req.user.id) {
+            return res.status(403).json({ error: 'Only the user who started an import can continue it' });
+        }
+        if (job.status === 'completed' || job.status === 'failed') {
+            return res.json(transformImportJob(job));
+        }
 
+        const updated = await continueImportJob(job, req);
+        if (!updated) {
+            return res.status(409).json({ error: 'This import is already being continued - try again shortly', job: transformImportJob(job) });
+        }
+        res.json(transformImportJob(updated));
     } catch (error) {
-        console.error('❌ Slack webhook error:', error);
-        return res.status(200).json({
-            response_type: 'in_channel',
-            text: `❌ An error occurred: ${error.message}`
-        });
+        console.error('Error continuing import job:', error);
+        res.status(500).json({ error: error.message });
     }
 });
 
-// Serve the main application
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// Error report of a finished import job: one CSV line per failed record
+app.get('/api/import-jobs/:id/errors', authMiddleware, requirePermission('enhancement:import'), async (req, res) => {
+    try {
+        const job = await loadImportJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Import job not found' });
+        }
+        if (job.status !== 'completed' && job.status !== 'failed') {
+            return res.status(409).json({ error: 'The import job has not finished yet' });
+        }
+        if (!job.error_report) {
+            return res.status(404).json({ error: 'No record of this import failed' });
+        }
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="import-errors-${job.id}.csv"`);
+        res.send(job.error_report);
+    } catch (error) {
+        console.error('Error fetching import error report:', error);
+        res.status(500).json({ error: error.message });
+    }
 });
 
 // CSV Import endpoint
-app.post('/api/enhancements/import-csv', authMiddleware, upload.single('csvFile'), async (req, res) => {
+app.post('/api/enhancements/import-csv', authMiddleware, requirePermission('enhancement:import'), upload.single('csvFile'), async (req, res) => {
     try {
         console.log('CSV Import endpoint hit');
         
@@ -1112,8 +5712,6 @@ app.post('/api/enhancements/import-csv', authMiddleware, upload.single('csvFile'
         console.log('Processing CSV file from memory buffer');
         
         const results = [];
-        const errors = [];
-        let rowNumber = 0;
         
         // Read and parse CSV file from memory buffer
         await new Promise((resolve, reject) => {
@@ -1121,7 +5719,6 @@ app.post('/api/enhancements/import-csv', authMiddleware, upload.single('csvFile'
             csvStream
                 .pipe(csv())
                 .on('data', (row) => {
-                    rowNumber++;
                     results.push(row);
                 })
                 .on('end', resolve)
@@ -1130,174 +5727,14 @@ app.post('/api/enhancements/import-csv', authMiddleware, upload.single('csvFile'
         
         console.log(`Parsed ${results.length} rows from CSV`);
         
-        // Process each row
-        let successful = 0;
-        let failed = 0;
-        
-        // Process each row - start
-        for (let i = 0; i < results.length; i++) {
-            const row = results[i];
-            const rowNum = i + 1;
-            
-            try {
-                // Validate required fields
-                const requiredFields = [
-                    'Request Name', 'Request Description', 'Requestor Name',
-                    'Date of Request (DD-MM-YYYY)', 'Type of Request', 'Area of Product',
-                    'Desire Level', 'Who Benefits'
-                ];
-                
-                const missingFields = requiredFields.filter(field => !row[field] || row[field].trim() === '');
-                if (missingFields.length > 0) {
-                    errors.push(`Row ${rowNum}: Missing required fields: ${missingFields.join(', ')}`);
-                    failed++;
-                    continue;
-                }
-                
-                // Validate enum values
-                const enumValidations = {
-                    'Type of Request': ['Bug Fix', 'New Feature', 'Enhancement (UI)', 'Enhancement (Feature)'],
-                    'Desire Level': ['Must-have', 'Nice-to-have'],
-                    'Difficulty Level': ['Simple', 'Complex', 'Involved'],
-                    'Who Benefits': ['Clients - procurement', 'Clients - end users', 'Suppliers', 'Internal'],
-                    'Area of Product': ['Buyer Portal', 'Supplier Hub', 'Procurement', 'Guides', 'Documentation'],
-                    'Priority Level': ['Critical', 'High', 'Medium', 'Low']
-                };
-                
-                let validationErrors = [];
-                for (const [field, validValues] of Object.entries(enumValidations)) {
-                    if (row[field] && row[field].trim() !== '') {
-                        let value = row[field].trim();
-                        
-                        if (field === 'Who Benefits') {
-                            // CRITICAL FIX: Proper handling of quoted comma-separated values
-                            console.log(`Processing Who Benefits for row ${rowNum}: "${value}"`);
-                            
-                            // Remove outer quotes if present (CSV formatting)
-                            if (value.startsWith('"') && value.endsWith('"')) {
-                                value = value.slice(1, -1);
-                                console.log(`Removed quotes: "${value}"`);
-                            }
-                            
-                            // Split by comma and clean each value
-                            const values = value.split(',').map(v => v.trim()).filter(v => v !== '');
-                            console.log(`Split values:`, values);
-                            
-                            // Check for invalid values
-                            const invalidValues = values.filter(v => !validValues.includes(v));
-                            if (invalidValues.length > 0) {
-                                validationErrors.push(`${field} contains invalid values: ${invalidValues.join(', ')}. Must be one or more of: ${validValues.join(', ')}`);
-                                console.log(`Invalid values found:`, invalidValues);
-                            }
-                            
-                            // Format for database (consistent spacing)
-                            const formattedValue = values.join(', ');
-                            row[field] = formattedValue; // Update the row data
-                            console.log(`Final formatted value: "${formattedValue}"`);
-                            
-                        } else if (field === 'Priority Level') {
-                            if (!validValues.includes(value)) {
-                                validationErrors.push(`${field} must be one of: ${validValues.join(', ')}`);
-                            }
-                        } else {
-                            if (!validValues.includes(value)) {
-                                validationErrors.push(`${field} must be one of: ${validValues.join(', ')}`);
-                            }
-                        }
-                    }
-                }
-                
-                // Validate effort level if present
-                if (row['Effort Level'] && row['Effort Level'].trim() !== '') {
-                    const effortValue = parseFloat(row['Effort Level'].trim());
-                    if (isNaN(effortValue) || effortValue < 0) {
-                        validationErrors.push(`Effort Level must be a positive number`);
-                    }
-                }
-                
-                if (validationErrors.length > 0) {
-                    errors.push(`Row ${rowNum}: ${validationErrors.join('; ')}`);
-                    failed++;
-                    continue;
-                }
-                
-                // Convert DD-MM-YYYY to YYYY-MM-DD for database storage
-                const dateValue = row['Date of Request (DD-MM-YYYY)'].trim();
-                const [day, month, year] = dateValue.split('-');
-                const formattedDate = `${year}-${month}-${day}`;
-                
-                // Convert due date if present
-                let formattedTimeline = null;
-                if (row['Due Date'] && row['Due Date'].trim() !== '') {
-                    const timelineValue = row['Due Date'].trim();
-                    if (timelineValue.includes('-')) {
-                        const [tDay, tMonth, tYear] = timelineValue.split('-');
-                        if (tDay && tMonth && tYear) {
-                            formattedTimeline = `${tYear}-${tMonth}-${tDay}`;
-                        }
-                    } else {
-                        formattedTimeline = timelineValue; // Assume it's already in correct format
-                    }
-                }
-                
-                // Prepare data for insertion with proper field mapping
-                const enhancementData = {
-                    request_name: row['Request Name'].trim(),
-                    request_description: row['Request Description'].trim(),
-                    rationale: row['Rationale'] && row['Rationale'].trim() !== '' ? row['Rationale'].trim() : 'Not specified',
-                    requestor_name: row['Requestor Name'].trim(),
-                    date_of_request: formattedDate,
-                    stakeholder: row['Benefactor'] ? row['Benefactor'].trim() : null, // Note: CSV uses "Benefactor" but DB uses "stakeholder"
-                    type_of_request: row['Type of Request'].trim(),
-                    area_of_product: row['Area of Product'].trim(),
-                    link_to_document: row['Link to Document'] ? row['Link to Document'].trim() : null,
-                    desire_level: row['Desire Level'].trim(),
-                    effort_level: row['Effort Level'] ? parseFloat(row['Effort Level'].trim()) : null,
-                    difficulty_level: row['Difficulty Level'] ? row['Difficulty Level'].trim() : null,
-                    who_benefits: row['Who Benefits'].trim(), // This now contains the properly formatted value
-                    timeline: formattedTimeline,
-                    status: 'submitted',
-                    priority_level: row['Priority Level'] ? row['Priority Level'].trim() : 'Medium'
-                };
-                
-                console.log(`Inserting row ${rowNum} with who_benefits: "${enhancementData.who_benefits}"`);
-                
-                // Insert into database
-                const { data, error } = await supabase
-                    .from('enhancements')
-                    .insert([enhancementData])
-                    .select();
-                
-                if (error) {
-                    console.error(`Database error for row ${rowNum}:`, error);
-                    console.error(`Data that caused error:`, enhancementData);
-                    errors.push(`Row ${rowNum}: Database error - ${error.message}`);
-                    failed++;
-                } else {
-                    // Generate request_id after successful insert
-                    const requestId = `REQ-${String(data[0].id).padStart(6, '0')}`;
-                    await supabase
-                        .from('enhancements')
-                        .update({ request_id: requestId })
-                        .eq('id', data[0].id);
-                    
-                    console.log(`Successfully inserted row ${rowNum} with ID ${data[0].id}`);
-                    successful++;
-                }
-                
-            } catch (error) {
-                console.error(`Error processing row ${rowNum}:`, error);
-                errors.push(`Row ${rowNum}: ${error.message}`);
-                failed++;
-            }
-        } // Process each row - end
-        
-        res.json({
-            successful,
-            failed,
-            total: results.length,
-            errors: errors.slice(0, 50) // Limit to first 50 errors
-        });
+        // Columns map to request fields by their CSV header (IMPORT_FORMATS); options come as query parameters or form fields
+        const options = parseImportOptions({ ...req.query, ...req.body });
+
+        // A dry run only reads, so it answers right away; a real import runs as a job
+        if (options.dryRun) {
+            return res.json(limitImportReport(await importEnhancements(req, results, IMPORT_FORMATS.csv, options)));
+        }
+        await startImportJob(req, res, { source: 'csv', fileName: req.file.originalname, records: results, options });
         
     } catch (error) {
         console.error('CSV import error:', error);
@@ -1305,6 +5742,33 @@ app.post('/api/enhancements/import-csv', authMiddleware, upload.single('csvFile'
     }
 });
 
+// JSON Import endpoint (same options as the CSV import, as query parameters)
+// Takes an array of records (e.g. backups/enhancements-export-*.json) or { "enhancements": [...] }
+app.post('/api/enhancements/import-json', authMiddleware, requirePermission('enhancement:import'), async (req, res) => {
+    try {
+        const records = Array.isArray(req.body) ? req.body : req.body && req.body.enhancements;
+        if (!Array.isArray(records)) {
+            return res.status(400).json({ error: 'Body must be an array of records or { "enhancements": [...] }' });
+        }
+        if (records.length === 0) {
+            return res.status(400).json({ error: 'No records to import' });
+        }
+
+        console.log(`📥 Importing ${records.length} JSON record(s)`);
+
+        // Keys map to request fields by field name (camelCase) or column name (snake_case), see IMPORT_FORMATS
+        const options = parseImportOptions(req.query);
+
+        if (options.dryRun) {
+            return res.json(limitImportReport(await importEnhancements(req, records, IMPORT_FORMATS.json, options)));
+        }
+        await startImportJob(req, res, { source: 'json', fileName: null, records, options });
+    } catch (error) {
+        console.error('JSON import error:', error);
+        res.status(500).json({ error: 'Failed to process JSON import: ' + error.message });
+    }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error(err.stack);
@@ -1317,8 +5781,8 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
         console.log(`🚀 Enhancement Tracker server running on http://localhost:${PORT}`);
         console.log(`📱 Access from any device on your network: http://[YOUR_IP]:${PORT}`);
         
-        // Test Supabase connection
-        await testSupabaseConnection();
+        // Test the database connection
+        await testDatabaseConnection();
     });
 
     // Handle port already in use error
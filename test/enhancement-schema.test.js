@@ -0,0 +1,54 @@
+// Tests for the shared enhancement validation schema (run with npm test)
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    ENHANCEMENT_FIELDS,
+    isValidDateString,
+    buildEnhancementSchema,
+    validateEnhancement
+} = require('../validation/enhancement-schema');
+
+// A taxonomy with one allowed value per taxonomy field is enough to build the schema
+const taxonomy = Object.fromEntries(Object.entries(ENHANCEMENT_FIELDS)
+    .filter(([, rule]) => rule.type === 'taxonomy')
+    .map(([name]) => [name, { values: ['Other'], defaultValue: null }]));
+const schema = buildEnhancementSchema(taxonomy);
+
+test('isValidDateString rejects days that do not exist', () => {
+    assert.strictEqual(isValidDateString('2025-02-31'), false);
+    assert.strictEqual(isValidDateString('2025-02-29'), false);
+    assert.strictEqual(isValidDateString('2025-04-31'), false);
+    assert.strictEqual(isValidDateString('2025-13-01'), false);
+    assert.strictEqual(isValidDateString('2025-00-10'), false);
+});
+
+test('isValidDateString accepts leap days and other real dates', () => {
+    assert.strictEqual(isValidDateString('2024-02-29'), true);
+    assert.strictEqual(isValidDateString('2000-02-29'), true);
+    assert.strictEqual(isValidDateString('2025-12-31'), true);
+});
+
+test('isValidDateString only takes YYYY-MM-DD', () => {
+    assert.strictEqual(isValidDateString('31-02-2025'), false);
+    assert.strictEqual(isValidDateString('2025-2-03'), false);
+    assert.strictEqual(isValidDateString(''), false);
+});
+
+test('validateEnhancement rejects 2025-02-31 in both date formats', () => {
+    ['2025-02-31', '31-02-2025'].forEach(timeline => {
+        const { values, errors } = validateEnhancement({ timeline }, schema, { mode: 'update' });
+        assert.deepStrictEqual(values, {});
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].field, 'timeline');
+        assert.strictEqual(errors[0].code, 'INVALID_DATE');
+    });
+});
+
+test('validateEnhancement accepts 2024-02-29 in both date formats', () => {
+    ['2024-02-29', '29-02-2024'].forEach(timeline => {
+        const { values, errors } = validateEnhancement({ timeline }, schema, { mode: 'update' });
+        assert.deepStrictEqual(errors, []);
+        assert.deepStrictEqual(values, { timeline: '2024-02-29' });
+    });
+});
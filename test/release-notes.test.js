@@ -0,0 +1,124 @@
+// Release notes for a date range against the server on the in-memory backend (run with npm test)
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const AUTH = { Authorization: 'Bearer admin@example.com' };
+
+let server = null;
+let baseUrl = null;
+let dataDir = null;
+
+// A request completed on 15 January 2026, as migration 019_completed_at leaves one that has no status history
+const completedRequest = {
+    id: 1, request_id: 'REQ-000001', request_name: 'Export invoices as PDF',
+    request_description: 'Buyers can download their invoices as PDF files', rationale: 'Not specified',
+    requestor_name: 'Ann', date_of_request: '2026-01-02', stakeholder: null, type_of_request: 'New Feature',
+    area_of_product: 'Buyer Portal', link_to_document: null, desire_level: 'Must-have', effort_level: null,
+    difficulty_level: null, who_benefits: 'Buyers', status: 'complete', priority_level: 'Medium',
+    accepted_denied_reason: null, timeline: null, documentation_updated: false, storylanes_updated: false,
+    release_notes: false, internal_only: false, created_at: '2026-01-02T09:00:00.000Z',
+    updated_at: '2026-01-15T10:00:00.000Z', created_by: null, deleted_at: null, deleted_by: null, version: 1,
+    merged_into: null, release_id: null, completed_at: '2026-01-15T10:00:00.000Z'
+};
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>}
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+async function api(method, endpoint, body) {
+    const response = await fetch(`${baseUrl}/api${endpoint}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...AUTH },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'release-notes-test-'));
+    const memoryFile = path.join(dataDir, 'db.json');
+    fs.writeFileSync(memoryFile, JSON.stringify({ tables: { enhancements: [completedRequest] } }));
+
+    const port = await freePort();
+    baseUrl = `http://localhost:${port}`;
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server-supabase.js')], {
+        env: {
+            ...process.env,
+            NODE_ENV: 'test',
+            PORT: String(port),
+            STORAGE_BACKEND: 'memory',
+            MEMORY_DB_FILE: memoryFile,
+            DEFAULT_USER_ROLE: 'admin'
+        },
+        stdio: 'ignore'
+    });
+
+    // Wait for the server to answer
+    for (let attempt = 0; attempt < 100; attempt++) {
+        try {
+            await fetch(`${baseUrl}/api/config`);
+            return;
+        } catch (error) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+    throw new Error('The server did not start');
+});
+
+after(() => {
+    if (server) {
+        server.kill();
+    }
+    if (dataDir) {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('a completed request stays in the notes of the range it was completed in, and only there', async () => {
+    const january = await api('GET', '/release-notes?from=2026-01-01&to=2026-01-31');
+    assert.strictEqual(january.status, 200);
+    assert.strictEqual(january.body.itemCount, 1);
+
+    // Publishing flags the request, which is a write
+    const published = await api('POST', '/release-notes/publish', { from: '2026-01-01', to: '2026-01-31' });
+    assert.strictEqual(published.status, 200);
+    assert.strictEqual(published.body.marked, 1);
+
+    // ...and so is a later edit of the completed request
+    const edited = await api('PATCH', '/enhancements/1', { rationale: 'Requested by several buyers' });
+    assert.strictEqual(edited.status, 200);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const later = await api('GET', `/release-notes?from=2026-02-01&to=${today}`);
+    assert.strictEqual(later.status, 200);
+    assert.strictEqual(later.body.itemCount, 0);
+
+    const again = await api('GET', '/release-notes?from=2026-01-01&to=2026-01-31');
+    assert.deepStrictEqual(again.body.groups, january.body.groups);
+});
+
+test('a request completed again moves to the range of its new completion', async () => {
+    assert.strictEqual((await api('PATCH', '/enhancements/1', { status: 'testing' })).status, 200);
+    assert.strictEqual((await api('PATCH', '/enhancements/1', { status: 'complete' })).status, 200);
+
+    const today = new Date().toISOString().slice(0, 10);
+    assert.strictEqual((await api('GET', '/release-notes?from=2026-01-01&to=2026-01-31')).body.itemCount, 0);
+    assert.strictEqual((await api('GET', `/release-notes?from=${today}&to=${today}`)).body.itemCount, 1);
+});
@@ -0,0 +1,321 @@
+// Enhancement request validation schema
+// One definition of the request fields, used by every write path: POST/PUT/PATCH, bulk edits,
+// CSV and JSON import and Slack intake. GET /api/enhancements/schema serves the same schema to the
+// Submit form, the edit modal and the CSV checker in the browser.
+
+// Error codes returned in { field, code, message }
+const VALIDATION_CODES = {
+    REQUIRED: 'REQUIRED',
+    INVALID_TYPE: 'INVALID_TYPE',
+    INVALID_DATE: 'INVALID_DATE',
+    INVALID_NUMBER: 'INVALID_NUMBER',
+    INVALID_VALUE: 'INVALID_VALUE',
+    UNKNOWN_FIELD: 'UNKNOWN_FIELD'
+};
+
+// Request fields keyed by API (camelCase) name.
+// type: text | date | number | boolean | taxonomy | status
+// - required fields must be given on create and may not be cleared on update
+// - taxonomy fields take their allowed values (and defaultValue) from the taxonomy
+// - updateOnly fields are ignored on create (new requests always start as submitted); an import applies them
+//   only to the rows that update an existing request
+// - csvHeader defaults to the label; an import also accepts the label and csvAliases (the headers of the CSV download)
+const ENHANCEMENT_FIELDS = {
+    requestName: { column: 'request_name', label: 'Request Name', type: 'text', required: true },
+    requestDescription: { column: 'request_description', label: 'Request Description', type: 'text', required: true },
+    rationale: { column: 'rationale', label: 'Rationale', type: 'text', defaultValue: 'Not specified' },
+    requestorName: { column: 'requestor_name', label: 'Requestor Name', type: 'text', required: true },
+    dateOfRequest: { column: 'date_of_request', label: 'Date of Request', csvHeader: 'Date of Request (DD-MM-YYYY)', type: 'date', required: true },
+    stakeholder: { column: 'stakeholder', label: 'Benefactor', csvAliases: ['Stakeholder'], type: 'text' },
+    typeOfRequest: { column: 'type_of_request', label: 'Type of Request', type: 'taxonomy', required: true },
+    areaOfProduct: { column: 'area_of_product', label: 'Area of Product', type: 'taxonomy', required: true },
+    linkToDocument: { column: 'link_to_document', label: 'Link to Document', type: 'text' },
+    desireLevel: { column: 'desire_level', label: 'Desire Level', type: 'taxonomy', required: true },
+    effortLevel: { column: 'effort_level', label: 'Effort Level', type: 'number' },
+    difficultyLevel: { column: 'difficulty_level', label: 'Difficulty Level', type: 'taxonomy' },
+    whoBenefits: { column: 'who_benefits', label: 'Who Benefits', type: 'taxonomy', multiple: true, required: true },
+    timeline: { column: 'timeline', label: 'Due Date', csvAliases: ['Timeline'], type: 'date' },
+    priorityLevel: { column: 'priority_level', label: 'Priority Level', type: 'taxonomy', useTaxonomyDefault: true },
+    // Transitions and reasons are checked by the workflow state machine in the server
+    status: { column: 'status', label: 'Status', type: 'status', required: true, updateOnly: true },
+    acceptedDeniedReason: { column: 'accepted_denied_reason', label: 'Accepted/Denied Reason', type: 'text', updateOnly: true },
+    documentationUpdated: { column: 'documentation_updated', label: 'Documentation Updated', type: 'boolean', updateOnly: true },
+    storylanesUpdated: { column: 'storylanes_updated', label: 'Storylanes Updated', type: 'boolean', updateOnly: true },
+    releaseNotes: { column: 'release_notes', label: 'Release Notes', type: 'boolean', updateOnly: true },
+    // Left out of release notes
+    internalOnly: { column: 'internal_only', label: 'Internal Only', type: 'boolean', updateOnly: true }
+};
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const LEGACY_DATE_PATTERN = /^(\d{2})-(\d{2})-(\d{4})$/;
+
+/**
+ * Whether a string is a YYYY-MM-DD date that exists. Date.parse() rolls 2025-02-31 over into March,
+ * so the parts are checked against the date they build instead.
+ * @param {string} value - Date text
+ * @returns {boolean}
+ */
+function isValidDateString(value) {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) {
+        return false;
+    }
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(0);
+    date.setUTCFullYear(year, month - 1, day);
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Build the schema served to the frontend and passed to validateEnhancement
+ * @param {Object} taxonomy - Result of getTaxonomy(): category -> { values, defaultValue }
+ * @returns {Object} { fields } - plain JSON, keyed by field name
+ */
+function buildEnhancementSchema(taxonomy) {
+    const fields = {};
+    Object.entries(ENHANCEMENT_FIELDS).forEach(([name, rule]) => {
+        const csvHeader = rule.csvHeader || rule.label;
+        const field = {
+            label: rule.label,
+            csvHeader,
+            csvAliases: [rule.label, ...(rule.csvAliases || [])].filter(header => header !== csvHeader),
+            type: rule.type,
+            required: !!rule.required,
+            updateOnly: !!rule.updateOnly
+        };
+        if (rule.type === 'taxonomy') {
+            field.multiple = !!rule.multiple;
+            field.values = taxonomy[name].values;
+        }
+        if (rule.useTaxonomyDefault && taxonomy[name].defaultValue) {
+            field.defaultValue = taxonomy[name].defaultValue;
+        } else if (rule.defaultValue !== undefined) {
+            field.defaultValue = rule.defaultValue;
+        }
+        fields[name] = field;
+    });
+    return { fields };
+}
+
+/**
+ * Validate one value and convert it to its stored form
+ * @param {string} name - Field name
+ * @param {Object} field - Field from buildEnhancementSchema()
+ * @param {*} value - Submitted value (not empty)
+ * @param {*} existingValue - Value the request already has; kept even if no longer allowed
+ * @returns {Object} { value, error }
+ */
+function validateFieldValue(name, field, value, existingValue) {
+    const fail = (code, message) => ({ value: null, error: { field: name, code, message } });
+
+    switch (field.type) {
+        case 'text':
+        case 'status':
+            if (typeof value !== 'string') {
+                return fail(VALIDATION_CODES.INVALID_TYPE, `${field.label} must be text`);
+            }
+            return { value: value.trim(), error: null };
+
+        case 'date': {
+            if (typeof value !== 'string') {
+                return fail(VALIDATION_CODES.INVALID_DATE, `${field.label} must be a date in YYYY-MM-DD format`);
+            }
+            // CSV files use DD-MM-YYYY
+            const legacy = value.trim().match(LEGACY_DATE_PATTERN);
+            const date = legacy ? `${legacy[3]}-${legacy[2]}-${legacy[1]}` : value.trim();
+            if (!isValidDateString(date)) {
+                return fail(VALIDATION_CODES.INVALID_DATE, `${field.label} "${value}" is not a valid date. Use YYYY-MM-DD (or DD-MM-YYYY in CSV files)`);
+            }
+            return { value: date, error: null };
+        }
+
+        case 'number': {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (!Number.isFinite(number) || number < 0) {
+                return fail(VALIDATION_CODES.INVALID_NUMBER, `${field.label} must be a number greater than or equal to 0`);
+            }
+            return { value: number, error: null };
+        }
+
+        case 'boolean':
+            if (typeof value === 'boolean') {
+                return { value, error: null };
+            }
+            // The CSV download writes Yes/No
+            if (typeof value === 'string' && ['true', 'false', 'yes', 'no'].includes(value.trim().toLowerCase())) {
+                return { value: ['true', 'yes'].includes(value.trim().toLowerCase()), error: null };
+            }
+            return fail(VALIDATION_CODES.INVALID_TYPE, `${field.label} must be true or false (or Yes/No)`);
+
+        case 'taxonomy': {
+            if (field.multiple) {
+                // Comma-separated string (possibly quoted, as in CSV files) or an array
+                let joined = Array.isArray(value) ? value.join(',') : value;
+                if (typeof joined !== 'string') {
+                    return fail(VALIDATION_CODES.INVALID_TYPE, `${field.label} must be a comma-separated string or an array`);
+                }
+                joined = joined.trim().replace(/^"(.*)"$/, '$1');
+                const values = joined.split(',').map(item => item.trim()).filter(item => item !== '');
+                const kept = typeof existingValue === 'string' ? existingValue.split(',').map(item => item.trim()) : [];
+                const invalid = values.filter(item => !field.values.includes(item) && !kept.includes(item));
+                if (values.length === 0) {
+                    return fail(VALIDATION_CODES.REQUIRED, `${field.label} needs at least one value`);
+                }
+                if (invalid.length > 0) {
+                    return fail(VALIDATION_CODES.INVALID_VALUE, `${field.label} contains invalid values: ${invalid.join(', ')}. Must be one or more of: ${field.values.join(', ')}`);
+                }
+                return { value: values.join(', '), error: null };
+            }
+            if (typeof value !== 'string') {
+                return fail(VALIDATION_CODES.INVALID_TYPE, `${field.label} must be text`);
+            }
+            const trimmed = value.trim();
+            if (!field.values.includes(trimmed) && trimmed !== existingValue) {
+                return fail(VALIDATION_CODES.INVALID_VALUE, `${field.label} "${trimmed}" is not valid. Must be one of: ${field.values.join(', ')}`);
+            }
+            return { value: trimmed, error: null };
+        }
+
+        default:
+            return fail(VALIDATION_CODES.UNKNOWN_FIELD, `${name} cannot be set`);
+    }
+}
+
+/**
+ * Validate a request body against the schema.
+ * create: every field except updateOnly ones is read and required fields must be present.
+ * update: only the fields present are validated, required fields cannot be cleared, and values
+ * the request already has stay valid. In both modes an empty field with a default gets the default.
+ * @param {Object} input - Request body (camelCase field names)
+ * @param {Object} schema - Result of buildEnhancementSchema()
+ * @param {Object} options - { mode: 'create' | 'update', existing: camelCase values of the stored request, rejectUnknown }
+ * @returns {Object} { values, errors } - values holds the converted fields, errors is an array of { field, code, message }
+ */
+function validateEnhancement(input, schema, { mode = 'create', existing = {}, rejectUnknown = false } = {}) {
+    const values = {};
+    const errors = [];
+    const body = input || {};
+
+    if (rejectUnknown) {
+        Object.keys(body).forEach(name => {
+            const field = schema.fields[name];
+            if (!field || (mode === 'create' && field.updateOnly)) {
+                errors.push({ field: name, code: VALIDATION_CODES.UNKNOWN_FIELD, message: `Unknown or read-only field "${name}"` });
+            }
+        });
+    }
+
+    Object.entries(schema.fields).forEach(([name, field]) => {
+        if (mode === 'create' && field.updateOnly) {
+            return;
+        }
+        const value = body[name];
+        if (value === undefined && mode === 'update') {
+            return;
+        }
+
+        const isEmpty = value === undefined || value === null || (typeof value === 'string' && value.trim() === '') ||
+            (Array.isArray(value) && value.length === 0);
+        if (isEmpty) {
+            if (field.defaultValue !== undefined) {
+                values[name] = field.defaultValue;
+            } else if (field.required) {
+                errors.push({
+                    field: name,
+                    code: VALIDATION_CODES.REQUIRED,
+                    message: mode === 'create' ? `${field.label} is required` : `${field.label} is required and cannot be cleared`
+                });
+            } else {
+                // Booleans are NOT NULL with a default of false
+                values[name] = field.type === 'boolean' ? false : null;
+            }
+            return;
+        }
+
+        const result = validateFieldValue(name, field, value, existing[name]);
+        if (result.error) {
+            errors.push(result.error);
+        } else {
+            values[name] = result.value;
+        }
+    });
+
+    return { values, errors };
+}
+
+/**
+ * Convert validated values to database columns
+ * @param {Object} values - values from validateEnhancement()
+ * @returns {Object} Column -> value
+ */
+function toColumns(values) {
+    const columns = {};
+    Object.entries(values).forEach(([name, value]) => {
+        columns[ENHANCEMENT_FIELDS[name].column] = value;
+    });
+    return columns;
+}
+
+/**
+ * Read the schema fields of a database row (used as `existing` when updating)
+ * @param {Object} row - Database row
+ * @returns {Object} camelCase field values
+ */
+function fromRow(row) {
+    const values = {};
+    Object.entries(ENHANCEMENT_FIELDS).forEach(([name, { column }]) => {
+        values[name] = row[column];
+    });
+    return values;
+}
+
+/**
+ * Map a parsed CSV row (keyed by header) to request fields. Headers match case-insensitively, by the
+ * field's csvHeader or one of its csvAliases. updateOnly columns are read too; validateEnhancement skips
+ * them when the row creates a request.
+ * @param {Object} row - CSV row
+ * @param {Object} schema - Result of buildEnhancementSchema()
+ * @returns {Object} camelCase request body
+ */
+function fromCsvRow(row, schema) {
+    const byHeader = {};
+    Object.entries(row).forEach(([header, value]) => {
+        byHeader[header.trim().toLowerCase()] = value;
+    });
+    const body = {};
+    Object.entries(schema.fields).forEach(([name, field]) => {
+        const header = [field.csvHeader, ...field.csvAliases].find(candidate => byHeader[candidate.toLowerCase()] !== undefined);
+        body[name] = header === undefined ? undefined : byHeader[header.toLowerCase()];
+    });
+    return body;
+}
+
+/**
+ * Map an imported JSON record to request fields. Keys may be field names (camelCase, as in
+ * backups/enhancements-export-*.json) or column names (snake_case); other keys are ignored. As with CSV rows,
+ * updateOnly fields only apply when the record updates an existing request.
+ * @param {Object} record - JSON record
+ * @returns {Object} camelCase request body
+ */
+function fromJsonRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error('Record must be a JSON object');
+    }
+    const body = {};
+    Object.entries(ENHANCEMENT_FIELDS).forEach(([name, { column }]) => {
+        body[name] = record[name] !== undefined ? record[name] : record[column];
+    });
+    return body;
+}
+
+module.exports = {
+    VALIDATION_CODES,
+    ENHANCEMENT_FIELDS,
+    isValidDateString,
+    buildEnhancementSchema,
+    validateEnhancement,
+    toColumns,
+    fromRow,
+    fromCsvRow,
+    fromJsonRecord
+};